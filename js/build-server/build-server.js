@@ -10,7 +10,10 @@
 
 
 const constants = require( './constants' );
+const DeployHistory = require( '../common/DeployHistory' );
+const SimVersion = require( '../common/SimVersion' );
 const childProcess = require( 'child_process' ); // eslint-disable-line require-statement-match
+const crypto = require( 'crypto' );
 const winston = require( './log.js' ); // eslint-disable-line require-statement-match
 const logRequest = require( './logRequest' );
 const sendEmail = require( './sendEmail' );
@@ -22,6 +25,7 @@ const _ = require( 'lodash' );
 const parseArgs = require( 'minimist' ); // eslint-disable-line require-statement-match
 const persistentQueue = require( './persistentQueue' );
 const getStatus = require( './getStatus' );
+const getTaskStatus = require( './getTaskStatus' );
 
 // set this process up with the appropriate permissions, value is in octal
 process.umask( 0o0002 );
@@ -119,8 +123,9 @@ const postQueueDeploy = ( req, res ) => {
     const translatorId = req.body[ constants.TRANSLATOR_ID_KEY ] || null;
     const email = req.body[ constants.EMAIL_KEY ] || null;
     const branch = req.body[ constants.BRANCH_KEY ] || null;
+    const deployType = req.body[ constants.DEPLOY_TYPE_KEY ] || null;
 
-    queueDeploy( api, repos, simName, version, locales, brands, servers, email, translatorId, branch, authorizationKey, req, res );
+    queueDeploy( api, repos, simName, version, locales, brands, servers, email, translatorId, branch, authorizationKey, req, res, deployType );
   }
   else {
     queueDeployApiVersion1( req, res, 'body' );
@@ -128,7 +133,8 @@ const postQueueDeploy = ( req, res ) => {
 };
 
 /**
- * Adds the request to the processing queue and handles email notifications about success or failures
+ * Adds the request to the processing queue and handles email notifications about success or failures. For api 2.x, the
+ * response is JSON { message, taskId }, where the taskId can be used to poll /deploy-status/:taskId until the task completes.
  *
  * @param {String} api
  * @param {Object} repos
@@ -143,8 +149,9 @@ const postQueueDeploy = ( req, res ) => {
  * @param {String} authorizationKey
  * @param {express.Request} req
  * @param {express.Response} res
+ * @param {String|null} [deployType] - The type of deploy (e.g. rc, production or prototype), as sent by the client
  */
-const queueDeploy = ( api, repos, simName, version, locales, brands, servers, email, userId, branch, authorizationKey, req, res ) => {
+const queueDeploy = ( api, repos, simName, version, locales, brands, servers, email, userId, branch, authorizationKey, req, res, deployType = null ) => {
 
   if ( repos && simName && version && authorizationKey ) {
     const productionBrands = [ constants.PHET_BRAND, constants.PHET_IO_BRAND ];
@@ -165,6 +172,7 @@ const queueDeploy = ( api, repos, simName, version, locales, brands, servers, em
       winston.log( 'info', `queuing build for ${simName} ${version}` );
       const task = {
         api: api,
+        taskId: crypto.randomUUID(),
         repos: repos,
         simName: simName,
         version: version,
@@ -173,13 +181,21 @@ const queueDeploy = ( api, repos, simName, version, locales, brands, servers, em
         brands: brands,
         email: email,
         userId: userId,
-        branch: branch
+        branch: branch,
+        deployType: deployType
       };
       persistentQueue.addTask( task );
       taskQueue.push( task, buildCallback( task ) );
 
-      res.status( api === '1.0' ? 200 : 202 );
-      res.send( 'build process initiated, check logs for details' );
+      const message = 'build process initiated, check logs for details';
+      if ( api === '1.0' ) {
+        res.status( 200 );
+        res.send( message );
+      }
+      else {
+        res.status( 202 );
+        res.json( { message: message, taskId: task.taskId } );
+      }
     }
   }
   else {
@@ -190,8 +206,112 @@ const queueDeploy = ( api, repos, simName, version, locales, brands, servers, em
   }
 };
 
+/**
+ * Adds a rollback of a production deploy to the processing queue (see rollback.js). Responds with JSON { message, taskId },
+ * like deploys.
+ *
+ * @param {express.Request} req
+ * @param {express.Response} res
+ */
+const postQueueRollback = ( req, res ) => {
+  logRequest( req, 'body', winston );
+
+  const simName = req.body[ constants.SIM_NAME_KEY ];
+  const version = req.body[ constants.VERSION_KEY ];
+  const brands = req.body[ constants.BRANDS_KEY ];
+  const authorizationKey = req.body[ constants.AUTHORIZATION_KEY ];
+  const email = req.body[ constants.EMAIL_KEY ] || null;
+  const productionBrands = [ constants.PHET_BRAND, constants.PHET_IO_BRAND ];
+
+  if ( authorizationKey !== constants.BUILD_SERVER_CONFIG.buildServerAuthorizationCode ) {
+    const err = 'wrong authorization code';
+    winston.log( 'error', err );
+    res.status( 401 );
+    res.send( err );
+  }
+  else if ( !simName || !version || !Array.isArray( brands ) || !brands.length || brands.some( brand => !productionBrands.includes( brand ) ) ) {
+    const err = 'rollbacks require simName, version and brands (phet and/or phet-io)';
+    winston.log( 'error', err );
+    res.status( 400 );
+    res.send( err );
+  }
+  else {
+    winston.log( 'info', `queuing rollback of ${simName} to ${version}` );
+    const task = {
+      api: '2.0',
+      taskId: crypto.randomUUID(),
+      rollback: true,
+      simName: simName,
+      version: version,
+      servers: [ constants.PRODUCTION_SERVER ],
+      brands: brands,
+      email: email
+    };
+    persistentQueue.addTask( task );
+    taskQueue.push( task, buildCallback( task ) );
+
+    res.status( 202 );
+    res.json( { message: 'rollback initiated, check logs for details', taskId: task.taskId } );
+  }
+};
+
+/**
+ * Returns the deploy history type of a task. Clients that don't send the type (e.g. older perennial checkouts) get it
+ * from the version's test type, and deploys requested by translators (Rosetta) are translations.
+ *
+ * @param {Object} task
+ * @returns {string}
+ */
+const getDeployType = task => {
+  if ( task.rollback ) {
+    return 'rollback';
+  }
+  if ( task.deployType ) {
+    return task.deployType;
+  }
+  if ( task.userId ) {
+    return 'translation';
+  }
+  try {
+    return SimVersion.parse( task.version ).testType || 'production';
+  }
+  catch( e ) {
+    return 'unknown';
+  }
+};
+
+/**
+ * Records a finished deploy or rollback in the deploy history of the build server.
+ *
+ * @param {Object} task
+ * @param {*} err - Falsy if the task succeeded
+ */
+const recordDeployHistory = ( task, err ) => {
+  try {
+    DeployHistory.record( {
+      type: getDeployType( task ),
+      repo: task.simName,
+      version: task.version,
+      brands: task.brands,
+      servers: task.servers,
+      branch: task.branch,
+      dependencies: task.repos ? DeployHistory.getDependencySHAs( task.repos ) : null,
+      deployer: task.email || task.userId || 'unknown',
+      result: err ? 'failed' : 'succeeded',
+      error: err ? `${err.message || err}` : null,
+      taskId: task.taskId
+    } );
+  }
+  catch( e ) {
+    winston.log( 'error', `unable to record deploy history: ${e}` );
+  }
+};
+
 const buildCallback = task => {
   return err => {
+    recordDeployHistory( task, err );
+
+    const taskName = task.rollback ? 'Rollback' : 'Build';
     const simInfoString = `Sim = ${task.simName
     } Version = ${task.version
     } Brands = ${task.brands
@@ -207,14 +327,15 @@ const buildCallback = task => {
       catch( e ) {
         // invalid JSON
       }
-      const errorMessage = `Build failure: ${err}. ${simInfoString} Shas = ${JSON.stringify( shas )}`;
+      const errorMessage = `${taskName} failure: ${err}. ${simInfoString} Shas = ${JSON.stringify( shas )}`;
       winston.log( 'error', errorMessage );
-      sendEmail( 'BUILD ERROR', errorMessage, task.email );
+      persistentQueue.finishTask( task, err );
+      sendEmail( `${taskName.toUpperCase()} ERROR`, errorMessage, task.email );
     }
     else {
-      winston.log( 'info', `build for ${task.simName} finished successfully` );
-      persistentQueue.finishTask();
-      sendEmail( 'Build Succeeded', simInfoString, task.email, true );
+      winston.log( 'info', `${taskName.toLowerCase()} for ${task.simName} finished successfully` );
+      persistentQueue.finishTask( task );
+      sendEmail( `${taskName} Succeeded`, simInfoString, task.email, true );
     }
   };
 };
@@ -272,10 +393,12 @@ app.use( bodyParser.json() );
 app.get( '/deploy-html-simulation', getQueueDeploy );
 app.post( '/deploy-html-simulation', postQueueDeploy );
 app.post( '/deploy-images', postQueueImageDeploy );
+app.post( '/rollback-simulation', postQueueRollback );
 
 app.set( 'views', './views' );
 app.set( 'view engine', 'pug' );
 app.get( '/deploy-status', getStatus );
+app.get( '/deploy-status/:taskId', getTaskStatus );
 
 // start the server
 app.listen( constants.LISTEN_PORT, () => {
@@ -293,6 +416,8 @@ app.listen( constants.LISTEN_PORT, () => {
 
   // Recreate queue
   try {
+    persistentQueue.failInterruptedTasks();
+
     const queue = persistentQueue.getQueue().queue;
     for ( const task of queue ) {
       console.log( 'Resuming task from persistent queue: ', task );
@@ -31,6 +31,7 @@ module.exports = {
   AUTHORIZATION_KEY: 'authorizationCode',
   SERVERS_KEY: 'servers',
   BRANDS_KEY: 'brands',
+  DEPLOY_TYPE_KEY: 'deployType',
   PRODUCTION_SERVER: 'production',
   DEV_SERVER: 'dev',
   PHET_BRAND: 'phet',
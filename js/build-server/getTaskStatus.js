@@ -0,0 +1,22 @@
+// Copyright 2026, University of Colorado Boulder
+
+const persistentQueue = require( './persistentQueue' );
+
+/**
+ * Responds with the JSON status of a single deploy task (see persistentQueue.getTaskStatus), so that clients can wait for
+ * a deploy that they requested to complete.
+ *
+ * @param {express.Request} req
+ * @param {express.Response} res
+ */
+module.exports = function getTaskStatus( req, res ) {
+  const taskStatus = persistentQueue.getTaskStatus( req.params.taskId );
+
+  if ( taskStatus ) {
+    res.json( taskStatus );
+  }
+  else {
+    res.status( 404 );
+    res.json( { error: `Unknown task: ${req.params.taskId}` } );
+  }
+};
\ No newline at end of file
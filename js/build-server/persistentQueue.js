@@ -4,7 +4,10 @@
 const fs = require( 'fs' );
 const _ = require( 'lodash' );
 
-const createNewQueue = () => ( { queue: [], currentTask: null } );
+// How many finished tasks are kept (with their status and progress) for /deploy-status/:taskId
+const MAX_TASK_HISTORY = 200;
+
+const createNewQueue = () => ( { queue: [], currentTask: null, tasks: [] } );
 
 const getQueue = () => {
   try {
@@ -16,6 +19,8 @@ const getQueue = () => {
       return createNewQueue();
     }
     else {
+      // Queue files from before task statuses were tracked
+      buildStatus.tasks = buildStatus.tasks || [];
       return buildStatus;
     }
   }
@@ -31,6 +36,7 @@ const saveQueue = queue => {
 
 const formatTask = task => ( {
   api: task.api,
+  taskId: task.taskId,
   repos: task.repos,
   simName: task.simName,
   version: task.version,
@@ -40,27 +46,112 @@ const formatTask = task => ( {
   email: task.email,
   userId: task.userId,
   branch: task.branch,
+  deployType: task.deployType,
+  rollback: task.rollback,
   enqueueTime: task.enqueueTime
 } );
 
+/**
+ * Updates the status entry of a task (if it has a taskId), see getTaskStatus.
+ *
+ * @param {Object} buildStatus
+ * @param {Object} task
+ * @param {function(Object)} update - Modifies the status entry
+ */
+const updateTaskStatus = ( buildStatus, task, update ) => {
+  const taskStatus = task.taskId && buildStatus.tasks.find( t => t.taskId === task.taskId );
+  if ( taskStatus ) {
+    update( taskStatus );
+  }
+};
+
 const addTask = task => {
   const buildStatus = getQueue();
   task.enqueueTime = new Date().toString();
   buildStatus.queue.push( formatTask( task ) );
+  if ( task.taskId ) {
+    buildStatus.tasks.push( {
+      taskId: task.taskId,
+      type: task.rollback ? 'rollback' : 'deploy',
+      simName: task.simName,
+      version: task.version,
+      brands: task.brands,
+      servers: task.servers,
+      status: 'queued',
+      enqueueTime: task.enqueueTime,
+      startTime: null,
+      endTime: null,
+      progress: [],
+      error: null
+    } );
+    buildStatus.tasks = buildStatus.tasks.slice( -MAX_TASK_HISTORY );
+  }
   saveQueue( buildStatus );
 };
 
 const startTask = task => {
   const buildStatus = getQueue();
-  const taskIndex = buildStatus.queue.findIndex( t => _.isEqual( t, formatTask( task ) ) );
+  // Compare with the JSON form (as saved), which omits undefined fields
+  const formattedTask = JSON.parse( JSON.stringify( formatTask( task ) ) );
+  const taskIndex = buildStatus.queue.findIndex( t => _.isEqual( t, formattedTask ) );
   buildStatus.queue.splice( taskIndex, 1 );
   buildStatus.currentTask = task;
   buildStatus.currentTask.startTime = new Date().toString();
+  updateTaskStatus( buildStatus, task, taskStatus => {
+    taskStatus.status = 'running';
+    taskStatus.startTime = task.startTime;
+  } );
   saveQueue( buildStatus );
 };
 
-const finishTask = () => {
+/**
+ * Records a progress message for a running task, so that clients waiting on the task can display it.
+ *
+ * @param {Object} task
+ * @param {string} message
+ */
+const addTaskProgress = ( task, message ) => {
+  const buildStatus = getQueue();
+  updateTaskStatus( buildStatus, task, taskStatus => {
+    taskStatus.progress.push( { time: new Date().toString(), message: message } );
+  } );
+  saveQueue( buildStatus );
+};
+
+/**
+ * @param {Object} task
+ * @param {Error|string|null} [error] - If provided, the task failed
+ */
+const finishTask = ( task, error = null ) => {
+  const buildStatus = getQueue();
+  buildStatus.currentTask = null;
+  updateTaskStatus( buildStatus, task, taskStatus => {
+    taskStatus.status = error ? 'failed' : 'succeeded';
+    taskStatus.endTime = new Date().toString();
+    taskStatus.error = error ? ( error.message || `${error}` ) : null;
+  } );
+  saveQueue( buildStatus );
+};
+
+/**
+ * Returns the status of a task that was queued with a taskId: { taskId, type (deploy/rollback), simName, version, brands, servers, status, enqueueTime,
+ * startTime, endTime, progress: [ { time, message } ], error }, where status is one of queued/running/succeeded/failed.
+ *
+ * @param {string} taskId
+ * @returns {Object|null}
+ */
+const getTaskStatus = taskId => getQueue().tasks.find( task => task.taskId === taskId ) || null;
+
+/**
+ * Marks tasks that were running when the build server stopped as failed, since they will not be resumed.
+ */
+const failInterruptedTasks = () => {
   const buildStatus = getQueue();
+  buildStatus.tasks.filter( task => task.status === 'running' ).forEach( task => {
+    task.status = 'failed';
+    task.endTime = new Date().toString();
+    task.error = 'The build server was restarted while the task was running';
+  } );
   buildStatus.currentTask = null;
   saveQueue( buildStatus );
 };
@@ -68,6 +159,9 @@ const finishTask = () => {
 module.exports = {
   addTask: addTask,
   startTask: startTask,
+  addTaskProgress: addTaskProgress,
   finishTask: finishTask,
-  getQueue: getQueue
+  getQueue: getQueue,
+  getTaskStatus: getTaskStatus,
+  failInterruptedTasks: failInterruptedTasks
 };
\ No newline at end of file
@@ -0,0 +1,93 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Rolls back the production deploy of a simulation to a previously-deployed version, for the phet and/or phet-io
+ * brands: points the phet "latest" redirect at the version, notifies the website, and regenerates the phet-io redirects.
+ * Nothing is built or copied, so the version must already be deployed on the production server.
+ */
+
+const constants = require( './constants' );
+const notifyServer = require( './notifyServer' );
+const writePhetHtaccess = require( './writePhetHtaccess' );
+const ReleaseBranch = require( '../common/ReleaseBranch' );
+const SimVersion = require( '../common/SimVersion' );
+const loadJSON = require( '../common/loadJSON' );
+const writePhetioHtaccess = require( '../common/writePhetioHtaccess' );
+const fs = require( 'fs' );
+
+/**
+ * @param {Object} options
+ * @property {string} simName
+ * @property {string} version - The production version to roll back to
+ * @property {Array.<string>} brands
+ * @property {string} email
+ * @param {function(string)} reportProgress
+ * @returns {Promise}
+ */
+module.exports = async function rollback( options, reportProgress ) {
+  const simName = options.simName;
+  const version = SimVersion.parse( options.version );
+  const versionString = version.toString();
+  const branch = `${version.major}.${version.minor}`;
+
+  if ( version.testType !== null ) {
+    throw new Error( `Can only roll back to production versions, not ${versionString}` );
+  }
+
+  const phetVersionDirectory = `${constants.HTML_SIMS_DIRECTORY}${simName}/${versionString}`;
+  const phetioVersionDirectory = `${constants.PHET_IO_SIMS_DIRECTORY}${simName}/${versionString}`;
+
+  // Check everything first, so that we don't roll back only one of the brands
+  if ( options.brands.includes( constants.PHET_BRAND ) && !fs.existsSync( phetVersionDirectory ) ) {
+    throw new Error( `${simName} ${versionString} is not deployed for the phet brand (${phetVersionDirectory} does not exist)` );
+  }
+  if ( options.brands.includes( constants.PHET_IO_BRAND ) ) {
+    if ( !fs.existsSync( phetioVersionDirectory ) ) {
+      throw new Error( `${simName} ${versionString} is not deployed for the phet-io brand (${phetioVersionDirectory} does not exist)` );
+    }
+    if ( !fs.existsSync( ReleaseBranch.getCheckoutDirectory( simName, branch ) ) ) {
+      throw new Error( `There is no build server checkout of ${simName} ${branch}, which is needed for the phet-io .htaccess files. Redeploy ${versionString} instead.` );
+    }
+  }
+
+  if ( options.brands.includes( constants.PHET_BRAND ) ) {
+    reportProgress( `Pointing phet latest at ${versionString}` );
+    await writePhetHtaccess( simName, versionString, { force: true } );
+
+    reportProgress( 'Notifying the website (phet)' );
+    await notifyServer( {
+      simName: simName,
+      email: options.email,
+      brand: constants.PHET_BRAND,
+      locales: '*'
+    } );
+  }
+
+  if ( options.brands.includes( constants.PHET_IO_BRAND ) ) {
+    const checkoutDir = ReleaseBranch.getCheckoutDirectory( simName, branch );
+    const simPackage = await loadJSON( `${checkoutDir}/${simName}/package.json` );
+
+    // The website's phet-io metadata determines the latest version of each branch (for the redirects below)
+    reportProgress( 'Notifying the website (phet-io)' );
+    await notifyServer( {
+      simName: simName,
+      email: options.email,
+      brand: constants.PHET_IO_BRAND,
+      phetioOptions: {
+        branch: branch,
+        suffix: '',
+        version: version,
+        ignoreForAutomatedMaintenanceReleases: !!( simPackage && simPackage.phet && simPackage.phet.ignoreForAutomatedMaintenanceReleases )
+      }
+    } );
+
+    reportProgress( `Regenerating the phet-io redirects for ${versionString}` );
+    await writePhetioHtaccess( phetioVersionDirectory, {
+      simName: simName,
+      version: versionString,
+      directory: constants.PHET_IO_SIMS_DIRECTORY,
+      checkoutDir: checkoutDir,
+      isProductionDeploy: true
+    } );
+  }
+};
\ No newline at end of file
@@ -16,6 +16,7 @@ const writePhetHtaccess = require( './writePhetHtaccess' );
 const writePhetioHtaccess = require( '../common/writePhetioHtaccess' );
 const deployImages = require( './deployImages' );
 const persistentQueue = require( './persistentQueue' );
+const rollback = require( './rollback' );
 const ReleaseBranch = require( '../common/ReleaseBranch' );
 const loadJSON = require( '../common/loadJSON' );
 
@@ -54,11 +55,19 @@ const afterDeploy = async buildDir => {
  * @property {string[]} brands - deployment brands
  * @property {String} email - used for sending notifications about success/failure
  * @property {String} translatorId - rosetta user id for adding translators to the website
+ * @property {boolean} [rollback] - if true, rolls back the production deploy to version instead (see rollback.js)
  * @property {winston} winston - logger
  * @param options
  */
 async function runTask( options ) {
   persistentQueue.startTask( options );
+
+  // Logs a message, and records it as progress of the task (for clients waiting on /deploy-status/:taskId)
+  const reportProgress = message => {
+    winston.info( message );
+    persistentQueue.addTaskProgress( options, message );
+  };
+
   if ( options.deployImages ) {
     try {
       await deployImages( options );
@@ -71,6 +80,16 @@ async function runTask( options ) {
     }
   }
 
+  if ( options.rollback ) {
+    try {
+      await rollback( options, reportProgress );
+      return;
+    }
+    catch( e ) {
+      await abortBuild( e );
+    }
+  }
+
 
   try {
     //-------------------------------------------------------------------------------------
@@ -155,6 +174,7 @@ async function runTask( options ) {
     }
 
     // Git pull, git checkout, npm prune & update, etc. in parallel directory
+    reportProgress( `Checking out ${simName} ${branch}` );
     const releaseBranch = new ReleaseBranch( simName, branch, brands, true );
     await releaseBranch.updateCheckout( dependencies );
 
@@ -174,6 +194,7 @@ async function runTask( options ) {
       }
     }
 
+    reportProgress( `Building ${simName} ${version}` );
     await releaseBranch.build( {
       clean: false,
       locales: locales,
@@ -181,7 +202,7 @@ async function runTask( options ) {
       lint: false,
       allHTML: !( chipperVersion.major === 0 && chipperVersion.minor === 0 && brands[ 0 ] !== constants.PHET_BRAND )
     } );
-    winston.debug( 'Build finished.' );
+    reportProgress( 'Build finished' );
 
     winston.debug( `Deploying to servers: ${JSON.stringify( servers )}` );
 
@@ -190,7 +211,7 @@ async function runTask( options ) {
     const buildDir = `${simRepoDir}/build`;
 
     if ( servers.indexOf( constants.DEV_SERVER ) >= 0 ) {
-      winston.info( 'deploying to dev' );
+      reportProgress( 'Deploying to dev' );
       if ( brands.indexOf( constants.PHET_IO_BRAND ) >= 0 ) {
         const htaccessLocation = ( chipperVersion.major === 2 && chipperVersion.minor === 0 ) ?
                                  `${buildDir}/phet-io` :
@@ -209,7 +230,7 @@ async function runTask( options ) {
     const isTranslationRequest = userId && localesArray.length === 1 && localesArray[ 0 ] !== '*';
 
     if ( servers.indexOf( constants.PRODUCTION_SERVER ) >= 0 ) {
-      winston.info( 'deploying to production' );
+      reportProgress( 'Deploying to production' );
       let targetVersionDir;
       let targetSimDir;
 
@@ -217,7 +238,7 @@ async function runTask( options ) {
       for ( const i in brands ) {
         if ( brands.hasOwnProperty( i ) ) {
           const brand = brands[ i ];
-          winston.info( `deploying brand: ${brand}` );
+          reportProgress( `Deploying brand: ${brand}` );
           // Pre-copy steps
           if ( brand === constants.PHET_BRAND ) {
             targetSimDir = constants.HTML_SIMS_DIRECTORY + simName;
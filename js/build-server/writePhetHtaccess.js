@@ -11,8 +11,14 @@ const axios = require( 'axios' );
  * Write the .htaccess file to make "latest" point to the version being deployed and allow "download" links to work on Safari
  * @param simName
  * @param version
+ * @param {Object} [options] - force: {boolean} - if true, "latest" is pointed at the version even if the website has a
+ *                             later version (e.g. for a rollback)
  */
-module.exports = async function writePhetHtaccess( simName, version ) {
+module.exports = async function writePhetHtaccess( simName, version, options ) {
+  const {
+    force = false
+  } = options || {};
+
   const metadataURL = `${constants.BUILD_SERVER_CONFIG.productionServerURL}/services/metadata/1.2/simulations?format=json&type=html&summary&include-unpublished=true&simulation=${simName}`;
   const pass = constants.BUILD_SERVER_CONFIG.serverToken;
   let response;
@@ -40,7 +46,7 @@ module.exports = async function writePhetHtaccess( simName, version ) {
     const thisVersion = SimVersion.parse( version );
     const latestVersion = SimVersion.parse( body.projects[ 0 ].version.string );
     // The requested deploy is earlier than the latest version, exit without updating the .htacess
-    if ( thisVersion.compareNumber( latestVersion ) < 0 ) {
+    if ( thisVersion.compareNumber( latestVersion ) < 0 && !force ) {
       return;
     }
   }
@@ -0,0 +1,171 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * An append-only ledger of deploys (dev, one-off, rc, production and prototype deploys made from this checkout, and the
+ * deploys and rollbacks run by the build server), so that we can answer "what was in this version, and who shipped it
+ * when". See `grunt deploy-history`.
+ *
+ * Records are stored one JSON object per line, of the form:
+ * {
+ *   timestamp: {string} - ISO 8601 date of when the deploy completed (or was sent to the build server)
+ *   type: {string} - dev, one-off, rc, production, prototype, translation (by the build server for Rosetta) or rollback
+ *   repo: {string}
+ *   version: {string}
+ *   brands: {Array.<string>}
+ *   servers: {Array.<string>} - dev and/or production
+ *   branch: {string|null}
+ *   dependencies: {Object|null} - repo => SHA, from the deployed dependencies.json
+ *   deployer: {string} - The user name (or the requester's email, for the build server)
+ *   host: {string} - Where the record was written
+ *   result: {string} - succeeded, failed, or requested (sent to the build server, which was not waited on)
+ *   error: {string|null}
+ *   taskId: {string|null} - The build-server task, if any
+ * }
+ */
+
+const fs = require( 'fs' );
+const os = require( 'os' );
+const _ = require( 'lodash' );
+const winston = require( 'winston' );
+
+module.exports = ( function() {
+
+  /**
+   * Returns the user name of this process.
+   *
+   * @returns {string}
+   */
+  const getDeployer = () => {
+    try {
+      return os.userInfo().username;
+    }
+    catch( e ) {
+      return process.env.USER || process.env.USERNAME || 'unknown';
+    }
+  };
+
+  /**
+   * Whether the ledger doesn't end with a newline (e.g. a crash while appending), in which case the next record should
+   * start on a new line, so that only the truncated record is unreadable.
+   *
+   * @returns {boolean}
+   */
+  const isTruncated = () => {
+    if ( !fs.existsSync( DeployHistory.DEPLOY_HISTORY_FILE ) ) {
+      return false;
+    }
+    const size = fs.statSync( DeployHistory.DEPLOY_HISTORY_FILE ).size;
+    if ( size === 0 ) {
+      return false;
+    }
+
+    const buffer = Buffer.alloc( 1 );
+    const fd = fs.openSync( DeployHistory.DEPLOY_HISTORY_FILE, 'r' );
+    try {
+      fs.readSync( fd, buffer, 0, 1, size - 1 );
+    }
+    finally {
+      fs.closeSync( fd );
+    }
+    return buffer.toString() !== '\n';
+  };
+
+  class DeployHistory {
+    /**
+     * Appends a deploy record to the ledger, filling in defaults.
+     * @public
+     *
+     * @param {Object} record - see the format above (at least type, repo, version, brands, servers and result)
+     * @returns {Object} - The full record
+     */
+    static record( record ) {
+      record = _.assign( {
+        timestamp: new Date().toISOString(),
+        branch: null,
+        dependencies: null,
+        deployer: getDeployer(),
+        host: os.hostname(),
+        error: null,
+        taskId: null
+      }, record );
+
+      fs.appendFileSync( DeployHistory.DEPLOY_HISTORY_FILE, `${isTruncated() ? '\n' : ''}${JSON.stringify( record )}\n` );
+
+      return record;
+    }
+
+    /**
+     * Loads the records (oldest first), optionally only for one repo and/or version. Lines that can't be parsed (e.g.
+     * truncated by a crash while appending) are skipped with a warning.
+     * @public
+     *
+     * @param {Object} [options]
+     * @returns {Array.<Object>}
+     */
+    static load( options ) {
+      options = _.merge( {
+        repo: null, // {string|null}
+        version: null // {string|null}
+      }, options );
+
+      if ( !fs.existsSync( DeployHistory.DEPLOY_HISTORY_FILE ) ) {
+        return [];
+      }
+
+      const records = [];
+      fs.readFileSync( DeployHistory.DEPLOY_HISTORY_FILE, 'utf8' ).split( '\n' ).forEach( ( line, index ) => {
+        if ( !line.trim().length ) {
+          return;
+        }
+        try {
+          records.push( JSON.parse( line ) );
+        }
+        catch( e ) {
+          winston.warn( `Skipping unreadable line ${index + 1} of ${DeployHistory.DEPLOY_HISTORY_FILE}: ${e.message}` );
+        }
+      } );
+
+      return records.filter( record => ( !options.repo || record.repo === options.repo ) && ( !options.version || record.version === options.version ) );
+    }
+
+    /**
+     * Returns the repo => SHA map of a dependencies.json object.
+     * @public
+     *
+     * @param {Object} dependencies - see getDependencies
+     * @returns {Object}
+     */
+    static getDependencySHAs( dependencies ) {
+      const shas = {};
+      for ( const repo of Object.keys( dependencies ) ) {
+        if ( dependencies[ repo ] && dependencies[ repo ].sha ) {
+          shas[ repo ] = dependencies[ repo ].sha;
+        }
+      }
+      return shas;
+    }
+
+    /**
+     * Returns a human-readable description of a record.
+     * @public
+     *
+     * @param {Object} record
+     * @param {boolean} [includeDependencies]
+     * @returns {string}
+     */
+    static describe( record, includeDependencies = false ) {
+      let description = `${record.timestamp} ${record.repo} ${record.version} ${record.type} (${record.brands.join( ',' )} to ${record.servers.join( ',' )}` +
+                        `${record.branch ? ` from ${record.branch}` : ''}) by ${record.deployer}: ${record.result}${record.error ? ` - ${record.error}` : ''}`;
+
+      if ( includeDependencies && record.dependencies ) {
+        description += _.map( record.dependencies, ( sha, repo ) => `\n    ${repo} ${sha}` ).join( '' );
+      }
+      return description;
+    }
+  }
+
+  // @public {string} - The ledger file, in the working directory (perennial)
+  DeployHistory.DEPLOY_HISTORY_FILE = '.deploy-history.jsonl';
+
+  return DeployHistory;
+} )();
\ No newline at end of file
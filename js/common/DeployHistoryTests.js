@@ -0,0 +1,59 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node qunit tests for DeployHistory
+ */
+
+/* eslint-env node */
+
+
+const DeployHistory = require( './DeployHistory' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+const qunit = require( 'qunit' );
+
+qunit.module( 'DeployHistory', {
+  beforeEach() {
+    this.historyFile = DeployHistory.DEPLOY_HISTORY_FILE;
+    this.directory = fs.mkdtempSync( path.join( os.tmpdir(), 'deploy-history-' ) );
+    DeployHistory.DEPLOY_HISTORY_FILE = path.join( this.directory, '.deploy-history.jsonl' );
+  },
+  afterEach() {
+    DeployHistory.DEPLOY_HISTORY_FILE = this.historyFile;
+    fs.rmSync( this.directory, { recursive: true, force: true } );
+  }
+} );
+
+qunit.test( 'record and load', async assert => {
+  assert.deepEqual( DeployHistory.load(), [], 'empty' );
+
+  const dependencies = DeployHistory.getDependencySHAs( {
+    comment: 'dependencies',
+    density: { sha: 'abc', branch: '1.4' },
+    joist: { sha: 'def', branch: '1.4' }
+  } );
+  assert.deepEqual( dependencies, { density: 'abc', joist: 'def' }, 'dependency SHAs' );
+
+  const record = DeployHistory.record( {
+    type: 'rc', repo: 'density', version: '1.4.3-rc.1', brands: [ 'phet' ], servers: [ 'dev' ], branch: '1.4',
+    dependencies: dependencies, result: 'succeeded', deployer: 'someone', timestamp: '2026-01-01T00:00:00.000Z'
+  } );
+  DeployHistory.record( { type: 'production', repo: 'density', version: '1.4.3', brands: [ 'phet' ], servers: [ 'dev', 'production' ], result: 'failed', error: 'oops' } );
+  DeployHistory.record( { type: 'dev', repo: 'bumper', version: '1.0.0-dev.1', brands: [ 'phet' ], servers: [ 'dev' ], result: 'succeeded' } );
+
+  assert.equal( record.taskId, null, 'defaults' );
+  assert.deepEqual( DeployHistory.load( { repo: 'density' } ).map( r => r.version ), [ '1.4.3-rc.1', '1.4.3' ], 'by repo, oldest first' );
+  assert.deepEqual( DeployHistory.load( { repo: 'density', version: '1.4.3-rc.1' } ), [ record ], 'by version' );
+
+  assert.equal( DeployHistory.describe( record, true ),
+    '2026-01-01T00:00:00.000Z density 1.4.3-rc.1 rc (phet to dev from 1.4) by someone: succeeded\n    density abc\n    joist def' );
+} );
+
+qunit.test( 'unreadable lines', async assert => {
+  DeployHistory.record( { type: 'dev', repo: 'bumper', version: '1.0.0-dev.1', brands: [ 'phet' ], servers: [ 'dev' ], result: 'succeeded' } );
+  fs.appendFileSync( DeployHistory.DEPLOY_HISTORY_FILE, '{"type":"rc","repo":"bum' );
+  DeployHistory.record( { type: 'dev', repo: 'bumper', version: '1.0.0-dev.2', brands: [ 'phet' ], servers: [ 'dev' ], result: 'succeeded' } );
+
+  assert.deepEqual( DeployHistory.load( { repo: 'bumper' } ).map( r => r.version ), [ '1.0.0-dev.1', '1.0.0-dev.2' ], 'a truncated line is skipped' );
+} );
\ No newline at end of file
@@ -9,10 +9,18 @@
 const production = require( '../grunt/production' );
 const rc = require( '../grunt/rc' );
 const ChipperVersion = require( './ChipperVersion' );
+const MaintenanceCommand = require( './MaintenanceCommand' );
+const MaintenanceJournal = require( './MaintenanceJournal' );
+const MaintenanceLock = require( './MaintenanceLock' );
+const MaintenanceReport = require( './MaintenanceReport' );
+const MaintenanceSchema = require( './MaintenanceSchema' );
 const ModifiedBranch = require( './ModifiedBranch' );
 const Patch = require( './Patch' );
+const QASignOff = require( './QASignOff' );
 const ReleaseBranch = require( './ReleaseBranch' );
+const ReleaseBranchHealthRule = require( './ReleaseBranchHealthRule' );
 const build = require( './build' );
+const buildLocal = require( './buildLocal' );
 const checkoutMain = require( './checkoutMain' );
 const checkoutTarget = require( './checkoutTarget' );
 const execute = require( './execute' );
@@ -25,14 +33,21 @@ const gitCheckout = require( './gitCheckout' );
 const gitCherryPick = require( './gitCherryPick' );
 const gitCommit = require( './gitCommit' );
 const gitCreateBranch = require( './gitCreateBranch' );
+const gitFindIssueCommits = require( './gitFindIssueCommits' );
+const gitIsAncestor = require( './gitIsAncestor' );
 const gitIsClean = require( './gitIsClean' );
 const gitPull = require( './gitPull' );
 const gitPush = require( './gitPush' );
 const gitRevParse = require( './gitRevParse' );
+const githubCreateIssue = require( './githubCreateIssue' );
+const githubGetIssue = require( './githubGetIssue' );
+const simMetadata = require( './simMetadata' );
 const assert = require( 'assert' );
 const asyncq = require( 'async-q' ); // eslint-disable-line require-statement-match
 const _ = require( 'lodash' );
 const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
 const repl = require( 'repl' );
 const winston = require( 'winston' );
 const gruntCommand = require( './gruntCommand' );
@@ -40,38 +55,44 @@ const chipperSupportsOutputJSGruntTasks = require( './chipperSupportsOutputJSGru
 
 // constants
 const MAINTENANCE_FILE = '.maintenance.json';
+const BUILD_ALL_DIRECTORY = 'build/release-branch-builds';
+const QA_AUDIT_FILE = '.maintenance-qa-audit.jsonl';
+const REDEPLOY_FILE = '.maintenance-redeploy.json';
+const ARCHIVE_DIRECTORY = 'maintenance-history';
+
+// Default platform matrix suggested in QA issues, see Maintenance.createQAIssue()
+const QA_PLATFORMS = [
+  'Latest macOS, Chrome and Safari',
+  'Latest Windows, Chrome, Firefox and Edge',
+  'Latest iOS, Safari',
+  'Latest iPadOS, Safari',
+  'Latest Android, Chrome',
+  'Latest ChromeOS, Chrome'
+];
+
+// Spot-checks for each brand in QA issues, see Maintenance.createQAIssue()
+const QA_BRAND_CHECKLISTS = {
+  phet: [
+    'The sim loads and runs without errors (try ?ea)',
+    'The About dialog shows the correct version'
+  ],
+  'phet-io': [
+    'The standalone sim loads without errors',
+    'Studio (or Instance Proxies) loads and launches the sim',
+    'Save/load of state works in Studio'
+  ]
+};
 
-// const PUBLIC_FUNCTIONS = [
-//   'addAllNeededPatches',
-//   'addNeededPatch',
-//   'addNeededPatches',
-//   'addNeededPatchesAfter',
-//   'addNeededPatchesBefore',
-//   'addNeededPatchesBuildFilter',
-//   'addNeededPatchReleaseBranch',
-//   'addPatchSHA',
-//   'applyPatches',
-//   'buildAll',
-//   'checkBranchStatus',
-//   'checkoutBranch',
-//   'createPatch',
-//   'deployProduction',
-//   'deployReleaseCandidates',
-//   'list',
-//   'listLinks',
-//   'removeNeededPatch',
-//   'removeNeededPatches',
-//   'removeNeededPatchesAfter',
-//   'removeNeededPatchesBefore',
-//   'removePatch',
-//   'removePatchSHA',
-//   'reset',
-//   'updateDependencies'
-//   'getAllMaintenanceBranches'
-// ];
+/**
+ * Logs a step that would be taken (but is not) when running in dry-run (plan) mode.
+ *
+ * @param {string} message
+ */
+const logPlan = message => console.log( `[plan] ${message}` );
 
 /**
  * @typedef SerializedMaintenance - see Maintenance.serialize()
+ * @property {number} schemaVersion - see MaintenanceSchema
  * @property {Array.<Object>} patches
  * @property {Array.<Object>} modifiedBranches
  * @property {Array.<Object>} allReleaseBranches
@@ -102,6 +123,14 @@ module.exports = ( function() {
 
       // @public {Array.<ReleaseBranch>}
       this.allReleaseBranches = allReleaseBranches;
+
+      // @private {SerializedMaintenance|null} - The state last loaded from (or saved to) the maintenance file, which the
+      // journal records changes against. null if this wasn't loaded, in which case the file is read on the first save.
+      this.savedState = null;
+
+      // @private {number|null} - The older schema version of the loaded maintenance file (if any), which is migrated
+      // (after a backup) on the next save, see MaintenanceSchema
+      this.loadedSchemaVersion = null;
     }
 
     /**
@@ -111,37 +140,66 @@ module.exports = ( function() {
      *                                              with the current MR, so optionally keep them in storage.
      *
      * CAUTION: This will remove any information about any ongoing/complete maintenance release from your
-     * .maintenance.json. Generally this should be done before any new maintenance release.
+     * .maintenance.json (it is archived first, see Maintenance.listArchives()). Generally this should be done before any
+     * new maintenance release.
      */
     static reset( keepCachedReleaseBranches = false ) {
       console.log( 'Make sure to check on the active PhET-iO Deploy Status on phet.colorado.edu to ensure that the ' +
                    'right PhET-iO sims are included in this maintenance release.' );
 
+      const maintenance = Maintenance.load();
+      const archiveName = Maintenance.writeArchive( maintenance );
+      if ( archiveName ) {
+        console.log( `Archived the previous maintenance release as ${archiveName}, see Maintenance.loadArchive( '${archiveName}' )` );
+      }
+
       const allReleaseBranches = [];
       if ( keepCachedReleaseBranches ) {
-        const maintenance = Maintenance.load();
         allReleaseBranches.push( ...maintenance.allReleaseBranches );
       }
-      new Maintenance( [], [], allReleaseBranches ).save();
+      new Maintenance( [], [], allReleaseBranches ).save( 'reset' );
     }
 
     /**
-     * Runs a number of checks through every release branch.
+     * Runs the health rules (see ReleaseBranchHealthRule) on every release branch.
      * @public
      *
      * @param {function(ReleaseBranch):Promise.<boolean>} [filter] - Optional filter, release branches will be skipped
      *                                                               if this resolves to false
-     * @returns {Promise}
+     * @param {Object} [options] - json=false - if true, prints a single JSON report instead of the text listing.
+     *                             rules - map of rule name => {boolean} enabled, overriding build-local.json's
+     *                             releaseBranchHealthRules
+     * @returns {Promise.<Object>} - The report, with the enabled rules, results per branch, number of results per
+     *                               severity, and healthy (no errors)
+     * @rejects {Error} - if there are unclean repositories
      */
-    static async checkBranchStatus( filter ) {
+    static async checkBranchStatus( filter, options ) {
+      options = _.merge( {
+        json: false,
+        rules: {}
+      }, options );
+
+      const rules = ReleaseBranchHealthRule.getEnabledRules( _.assign( {}, buildLocal.releaseBranchHealthRules, options.rules ) );
+
       for ( const repo of getActiveRepos() ) {
         if ( repo !== 'perennial' && !( await gitIsClean( repo ) ) ) {
-          console.log( `Unclean repository: ${repo}, please resolve this and then run checkBranchStatus again` );
-          return;
+          throw new Error( `Unclean repository: ${repo}, please resolve this and then run checkBranchStatus again` );
         }
       }
 
-      const releaseBranches = await Maintenance.getMaintenanceBranches( filter );
+      // In JSON mode, the progress output of loading the release branches (on a cache miss) goes to stderr, so that
+      // stdout only has the report
+      const log = console.log;
+      if ( options.json ) {
+        console.log = console.error;
+      }
+      let releaseBranches;
+      try {
+        releaseBranches = await Maintenance.getMaintenanceBranches( filter );
+      }
+      finally {
+        console.log = log;
+      }
 
       // Set up a cache of branchMaps so that we don't make multiple requests
       const branchMaps = {};
@@ -152,48 +210,155 @@ module.exports = ( function() {
         return branchMaps[ repo ];
       };
 
+      // Same for the production metadata
+      let simMetadataPromise = null;
+      const getSimMetadata = () => {
+        if ( !simMetadataPromise ) {
+          simMetadataPromise = simMetadata( { type: 'html' } );
+        }
+        return simMetadataPromise;
+      };
+
+      const report = {
+        timestamp: new Date().toISOString(),
+        rules: rules.map( rule => rule.serialize() ),
+        branches: [],
+        summary: _.fromPairs( ReleaseBranchHealthRule.SEVERITIES.map( severity => [ severity, 0 ] ) ),
+        healthy: true
+      };
+
       for ( const releaseBranch of releaseBranches ) {
+        const branchReport = _.assign( releaseBranch.serialize(), {
+          skipped: false,
+          results: []
+        } );
+        report.branches.push( branchReport );
+
         if ( !filter || await filter( releaseBranch ) ) {
-          console.log( `${releaseBranch.repo} ${releaseBranch.branch}` );
-          for ( const line of await releaseBranch.getStatus( getBranchMapAsyncCallback ) ) {
-            console.log( `  ${line}` );
+          !options.json && console.log( `${releaseBranch.repo} ${releaseBranch.branch}` );
+
+          branchReport.results = await releaseBranch.getHealthResults( {
+            rules: rules,
+            getBranchMap: getBranchMapAsyncCallback,
+            getSimMetadata: getSimMetadata
+          } );
+
+          for ( const result of branchReport.results ) {
+            report.summary[ result.severity ]++;
+            !options.json && console.log( `  [${result.severity.toUpperCase()}] ${result.message}` );
           }
         }
         else {
-          console.log( `${releaseBranch.repo} ${releaseBranch.branch} (skipping due to filter)` );
+          branchReport.skipped = true;
+          !options.json && console.log( `${releaseBranch.repo} ${releaseBranch.branch} (skipping due to filter)` );
         }
       }
+
+      report.healthy = report.summary.error === 0;
+
+      if ( options.json ) {
+        console.log( JSON.stringify( report, null, 2 ) );
+      }
+
+      return report;
     }
 
     /**
-     * Builds all release branches (so that the state of things can be checked). Puts in in perennial/build.
+     * Builds every brand of all release branches (so that the state of things can be checked), each in its own checkout
+     * directory (see ReleaseBranch.getCheckoutDirectory), running in parallel. Build logs and a summary of the results
+     * (summary.json and summary.md) are put in perennial/build/release-branch-builds.
      * @public
+     *
+     * @param {function(ReleaseBranch):Promise.<boolean>} [filter] - Optional filter, release branches will be skipped
+     *                                                               if this resolves to false
+     * @param {Object} [options] - concurrent=5 - the number of release branches to build at the same time.
+     *                             updateCheckout=true - to build the existing checkouts as-is, set to false.
+     *                             buildOptions - optional parameters for getBuildArguments
+     * @returns {Promise.<Array.<Object>>} - The result for each repo/branch/brand
      */
-    static async buildAll() {
-      const releaseBranches = await Maintenance.getMaintenanceBranches();
+    static async buildAll( filter, options ) {
+      options = _.merge( {
+        concurrent: 5,
+        updateCheckout: true,
+        buildOptions: {}
+      }, options );
 
-      const failed = [];
+      const releaseBranches = await Maintenance.getMaintenanceBranches();
 
+      // Filter before the parallel step, so the filter has full access to repos and git commands without race conditions
+      const filteredBranches = [];
       for ( const releaseBranch of releaseBranches ) {
-        console.log( `building ${releaseBranch.repo} ${releaseBranch.branch}` );
-        try {
-          await checkoutTarget( releaseBranch.repo, releaseBranch.branch, true ); // include npm update
-          await build( releaseBranch.repo, {
-            brands: releaseBranch.brands
-          } );
-          throw new Error( 'UNIMPLEMENTED, copy over' );
-        }
-        catch( e ) {
-          failed.push( `${releaseBranch.repo} ${releaseBranch.brand}` );
+        if ( !filter || await filter( releaseBranch ) ) {
+          filteredBranches.push( releaseBranch );
         }
       }
 
+      console.log( `Building ${filteredBranches.length} release branches (running in parallel with ${options.concurrent} threads)` );
+
+      fs.mkdirSync( BUILD_ALL_DIRECTORY, { recursive: true } );
+
+      const results = [];
+
+      const asyncFunctions = filteredBranches.map( releaseBranch => ( async () => {
+        const repo = releaseBranch.repo;
+        const branch = releaseBranch.branch;
+
+        if ( options.updateCheckout ) {
+          try {
+            await releaseBranch.updateCheckout();
+          }
+          catch( e ) {
+            console.log( `failed to update checkout ${releaseBranch.toString()}: ${e}` );
+            for ( const brand of releaseBranch.brands ) {
+              results.push( { repo: repo, branch: branch, brand: brand, success: false, time: 0, log: null, error: `Checkout failed: ${e.message}` } );
+            }
+            return;
+          }
+        }
+
+        for ( const brand of releaseBranch.brands ) {
+          const startTime = Date.now();
+          const logFile = `${BUILD_ALL_DIRECTORY}/${repo}-${branch}-${brand}.log`;
+          let success = true;
+          let output;
+
+          try {
+            output = await releaseBranch.build( _.merge( {}, options.buildOptions, { brands: [ brand ] } ) );
+          }
+          catch( e ) {
+            success = false;
+            output = e.message;
+          }
+
+          fs.writeFileSync( logFile, output );
+
+          const time = Date.now() - startTime;
+          results.push( { repo: repo, branch: branch, brand: brand, success: success, time: time, log: logFile, error: success ? null : 'Build failed' } );
+          console.log( `${success ? 'built' : 'FAILED to build'} ${repo} ${branch} ${brand} (${Math.round( time / 1000 )}s)` );
+        }
+      } ) );
+
+      await asyncq.parallelLimit( asyncFunctions, options.concurrent );
+
+      const sortedResults = _.sortBy( results, [ 'repo', 'branch', 'brand' ] );
+
+      fs.writeFileSync( `${BUILD_ALL_DIRECTORY}/summary.json`, JSON.stringify( sortedResults, null, 2 ) );
+      fs.writeFileSync( `${BUILD_ALL_DIRECTORY}/summary.md`, [
+        '| repo | branch | brand | result | time (s) | log |',
+        '| --- | --- | --- | --- | --- | --- |',
+        ...sortedResults.map( result => `| ${result.repo} | ${result.branch} | ${result.brand} | ${result.success ? 'pass' : `**FAIL** ${result.error}`} | ${Math.round( result.time / 1000 )} | ${result.log || ''} |` )
+      ].join( '\n' ) + '\n' );
+
+      const failed = sortedResults.filter( result => !result.success );
       if ( failed.length ) {
-        console.log( `Failed builds:\n${failed.join( '\n' )}` );
+        console.log( `Failed builds:\n${failed.map( result => `${result.repo} ${result.branch} ${result.brand}` ).join( '\n' )}` );
       }
       else {
         console.log( 'Builds complete' );
       }
+      console.log( `Summary written to ${BUILD_ALL_DIRECTORY}/summary.md` );
+
+      return sortedResults;
     }
 
     /**
@@ -217,9 +382,15 @@ module.exports = ( function() {
         if ( modifiedBranch.deployedVersion ) {
           console.log( `    deployed: ${modifiedBranch.deployedVersion.toString()}` );
         }
+        if ( modifiedBranch.isSignedOff ) {
+          console.log( `    ${modifiedBranch.qaSignOff.toString()}` );
+        }
         if ( modifiedBranch.neededPatches.length ) {
           console.log( `    needs: ${modifiedBranch.neededPatches.map( patch => patch.name ).join( ',' )}` );
         }
+        if ( Object.keys( modifiedBranch.awaitingResolution ).length ) {
+          console.log( `    awaiting manual resolution: ${Object.keys( modifiedBranch.awaitingResolution ).join( ',' )}` );
+        }
         if ( modifiedBranch.pushedMessages.length ) {
           console.log( `    pushedMessages: \n      ${modifiedBranch.pushedMessages.join( '\n      ' )}` );
         }
@@ -240,6 +411,9 @@ module.exports = ( function() {
         const indexAndSpacing = `${count}. ` + ( count > 9 ? '' : ' ' );
 
         console.log( `${indexAndSpacing}[${patch.name}]${patch.name !== patch.repo ? ` (${patch.repo})` : ''} ${patch.message}` );
+        if ( patch.dependsOn.length ) {
+          console.log( `      depends on: ${patch.dependsOn.join( ', ' )}` );
+        }
         for ( const sha of patch.shas ) {
           console.log( `      ${sha}` );
         }
@@ -249,6 +423,49 @@ module.exports = ( function() {
           }
         }
       }
+
+      if ( maintenance.patches.some( patch => patch.dependsOn.length ) ) {
+        console.log( '\nPatch dependencies (each patch is applied after the ones it is listed under):' );
+
+        const logDependents = ( patch, indentation ) => {
+          for ( const dependent of maintenance.patches.filter( otherPatch => otherPatch.dependsOn.includes( patch.name ) ) ) {
+            console.log( `${indentation}└─ ${dependent.name}` );
+            logDependents( dependent, `${indentation}   ` );
+          }
+        };
+        for ( const patch of maintenance.patches.filter( patch => patch.dependsOn.length === 0 && maintenance.patches.some( otherPatch => otherPatch.dependsOn.includes( patch.name ) ) ) ) {
+          console.log( `  ${patch.name}` );
+          logDependents( patch, '  ' );
+        }
+      }
+    }
+
+    /**
+     * Renders the full maintenance state (patches with their SHAs and the branches that still need them, modified
+     * branches with their status and deployed versions, pending vs pushed messages, changed dependencies, and
+     * unreleased branches that need an issue), e.g. for attaching to the maintenance release issue. See MaintenanceReport.
+     * @public
+     *
+     * @param {string} [format] - 'markdown', 'html' (a standalone page) or 'json'
+     * @param {Object} [options] - file=null - if provided, the report is written to this file instead of printed
+     * @returns {Promise.<string>} - The rendered report
+     */
+    static async report( format = 'markdown', options ) {
+      options = _.merge( {
+        file: null
+      }, options );
+
+      const report = MaintenanceReport.render( MaintenanceReport.getData( Maintenance.load() ), format );
+
+      if ( options.file ) {
+        fs.writeFileSync( options.file, report );
+        console.log( `Wrote the ${format} report to ${options.file}` );
+      }
+      else {
+        console.log( report );
+      }
+
+      return report;
     }
 
     /**
@@ -283,10 +500,119 @@ module.exports = ( function() {
           for ( const link of links ) {
             console.log( link );
           }
+          console.log( modifiedBranch.isSignedOff ? modifiedBranch.qaSignOff.toString() :
+                       `Not signed off by QA yet, see Maintenance.signOff( '${modifiedBranch.repo}', '${modifiedBranch.branch}', approver )` );
         }
       }
     }
 
+    /**
+     * Creates a QA issue for testing the deployed modified branches, with the fixed issues (pushed messages, or for
+     * production deploys the messages they included, from the journal), the links grouped by release candidate vs
+     * production, a checklist per sim/brand and a suggested platform matrix.
+     * @public
+     *
+     * @param {Object} [options]
+     * @returns {Promise.<string>} - The markdown body of the issue
+     */
+    static async createQAIssue( options ) {
+      // Not merged, since the arrays should be replaced (instead of merged by index)
+      options = _.assign( {
+        // {string} - The repository to create the issue in
+        repo: 'qa',
+
+        // {string|null} - Defaults to a dated maintenance release title
+        title: null,
+
+        // {function(ModifiedBranch):boolean} - Modified branches are excluded if this returns false
+        filter: () => true,
+
+        // {Array.<string>}
+        platforms: QA_PLATFORMS,
+        labels: [ 'status:ready-for-qa' ],
+        assignees: [],
+
+        // {boolean} - If true, the markdown is only printed (nothing is created on GitHub)
+        markdownOnly: false
+      }, options );
+
+      const maintenance = Maintenance.load();
+
+      const deployedBranches = maintenance.modifiedBranches.filter( modifiedBranch => !!modifiedBranch.deployedVersion && options.filter( modifiedBranch ) );
+      if ( !deployedBranches.length ) {
+        throw new Error( 'No deployed modified branches to create a QA issue for' );
+      }
+
+      const releaseCandidateBranches = deployedBranches.filter( modifiedBranch => modifiedBranch.deployedVersion.testType === 'rc' );
+      const productionBranches = deployedBranches.filter( modifiedBranch => modifiedBranch.deployedVersion.testType === null );
+
+      // Production deploys clear the pushed messages, so the fixes of those branches come from the journal
+      const journalEntries = productionBranches.length ? MaintenanceJournal.load() : [];
+      const getFixes = modifiedBranch => modifiedBranch.deployedVersion.testType === null ?
+                                         MaintenanceJournal.getProductionMessages( journalEntries, modifiedBranch.repo, modifiedBranch.branch ) :
+                                         modifiedBranch.pushedMessages;
+      const messages = _.uniq( _.flatten( deployedBranches.map( getFixes ) ) );
+
+      const lines = [
+        'This is a maintenance release with the following fixes:',
+        '',
+        ...( messages.length ? messages.map( message => `- ${message}` ) : [ '- (no recorded changes)' ] ),
+        '',
+        'For each sim below, please verify the fixes and do a spot-check of each brand on the suggested platforms.',
+        '',
+        '### Suggested platforms',
+        '',
+        ...options.platforms.map( platform => `- [ ] ${platform}` )
+      ];
+
+      /**
+       * @param {string} title
+       * @param {Array.<ModifiedBranch>} modifiedBranches
+       */
+      const addSection = async ( title, modifiedBranches ) => {
+        if ( !modifiedBranches.length ) {
+          return;
+        }
+
+        lines.push( '', `## ${title}` );
+
+        for ( const modifiedBranch of modifiedBranches ) {
+          lines.push( '', `### ${modifiedBranch.repo} ${modifiedBranch.deployedVersion.toString()} (${modifiedBranch.branch})`, '' );
+          const fixes = getFixes( modifiedBranch );
+          if ( fixes.length ) {
+            lines.push( `Fixes: ${fixes.join( ', ' )}`, '' );
+          }
+          lines.push( ...( await modifiedBranch.getDeployedLinkLines( false ) ) );
+
+          for ( const brand of modifiedBranch.brands ) {
+            lines.push( '', `**${brand}**`, '' );
+            lines.push( ...( QA_BRAND_CHECKLISTS[ brand ] || [] ).map( item => `- [ ] ${item}` ) );
+            lines.push( '- [ ] The fixes listed above are verified' );
+          }
+        }
+      };
+
+      await addSection( 'Release candidates', releaseCandidateBranches );
+      await addSection( 'Production', productionBranches );
+
+      const body = `${lines.join( '\n' )}\n`;
+      const title = options.title || `Maintenance release testing (${new Date().toISOString().slice( 0, 10 )})`;
+
+      if ( options.markdownOnly ) {
+        console.log( `${title}\n\n${body}` );
+      }
+      else {
+        const issue = await githubCreateIssue( options.repo, title, {
+          body: body,
+          labels: options.labels,
+          assignees: options.assignees
+        } );
+        console.log( `Created QA issue ${issue.html_url}` );
+      }
+
+      return body;
+    }
+
     /**
      * Creates an issue to note patches on all unreleased branches that include a pushed message.
      * @public
@@ -328,11 +654,93 @@ module.exports = ( function() {
 
       maintenance.patches.push( new Patch( repo, patchName, message ) );
 
-      maintenance.save();
+      maintenance.save( 'createPatch' );
 
       console.log( `Created patch for ${repo} with message: ${message}` );
     }
 
+    /**
+     * Creates patches for all commits (in active repos) that reference a GitHub issue, named after the repo (or e.g.
+     * scenery-1234 if that name is taken). A repo with multiple commits gets one patch per commit (e.g. scenery-1,
+     * scenery-2), each depending on the previous one so that they are applied in commit order. The title of the issue is
+     * used for the message.
+     * @public
+     *
+     * @param {string} issueReference - e.g. 'phetsims/scenery#1234', 'scenery#1234' or
+     *                                  'https://github.com/phetsims/scenery/issues/1234'
+     * @param {Object} [options] - branch='main' - the branch to search in each repo.
+     *                             dryRun=false - if true, only prints the commits that were found.
+     * @returns {Promise.<Array.<Patch>>} - The patches that were (or would be) created
+     */
+    static async createPatchFromIssue( issueReference, options ) {
+      options = _.merge( {
+        branch: 'main',
+        dryRun: false
+      }, options );
+
+      const match = issueReference.match( /^(?:https:\/\/github\.com\/)?(?:phetsims\/)?([\w-]+)(?:#|\/issues\/)(\d+)$/ );
+      if ( !match ) {
+        throw new Error( `Unrecognized issue reference: ${issueReference}, expected e.g. phetsims/scenery#1234` );
+      }
+      const issueRepo = match[ 1 ];
+      const issueNumber = Number( match[ 2 ] );
+      const issueURL = `https://github.com/phetsims/${issueRepo}/issues/${issueNumber}`;
+
+      const issue = await githubGetIssue( issueRepo, issueNumber );
+      const message = `${issue.title} ${issueURL}`;
+
+      const maintenance = Maintenance.load();
+      const patches = [];
+
+      for ( const repo of getActiveRepos() ) {
+        let commits;
+        try {
+          commits = await gitFindIssueCommits( repo, issueRepo, issueNumber, options.branch );
+        }
+        catch( e ) {
+          console.log( `Could not search ${repo} ${options.branch}: ${e.message}` );
+          continue;
+        }
+
+        if ( commits.length === 0 ) {
+          continue;
+        }
+
+        const patchName = maintenance.patches.some( patch => patch.name === repo ) ? `${repo}-${issueNumber}` : repo;
+
+        // One patch per commit, applied in order, since a patch's SHAs are alternatives
+        const repoPatches = Patch.createSequence( repo, patchName, message, commits.map( commit => commit.sha ) );
+        for ( const patch of repoPatches ) {
+          if ( maintenance.patches.some( otherPatch => otherPatch.name === patch.name ) ) {
+            throw new Error( `Multiple patches with the same name are not concurrently supported: ${patch.name}` );
+          }
+        }
+        patches.push( ...repoPatches );
+        maintenance.patches.push( ...repoPatches );
+
+        commits.forEach( ( commit, index ) => {
+          const patch = repoPatches[ index ];
+          console.log( `${options.dryRun ? 'Would create' : 'Created'} patch ${patch.name} for ${repo}: ${commit.sha} ${commit.subject}${patch.dependsOn.length ? ` (depends on ${patch.dependsOn.join( ', ' )})` : ''}` );
+        } );
+      }
+
+      if ( patches.length === 0 ) {
+        console.log( `No commits found referencing ${issueRepo}#${issueNumber}` );
+        return patches;
+      }
+
+      if ( options.dryRun ) {
+        console.log( 'Patch creation planned (dry run, nothing was modified)' );
+        return patches;
+      }
+
+      maintenance.save( 'createPatchFromIssue' );
+
+      console.log( `Message for all patches: ${message}` );
+
+      return patches;
+    }
+
     /**
      * Removes a patch
      * @public
@@ -351,9 +759,14 @@ module.exports = ( function() {
         }
       }
 
+      const dependentPatches = maintenance.patches.filter( otherPatch => otherPatch.dependsOn.includes( patch.name ) );
+      if ( dependentPatches.length ) {
+        throw new Error( `Patch is depended on by: ${dependentPatches.map( otherPatch => otherPatch.name ).join( ', ' )}` );
+      }
+
       maintenance.patches.splice( maintenance.patches.indexOf( patch ), 1 );
 
-      maintenance.save();
+      maintenance.save( 'removePatch' );
 
       console.log( `Removed patch for ${patchName}` );
     }
@@ -378,7 +791,7 @@ module.exports = ( function() {
 
       patch.shas.push( sha );
 
-      maintenance.save();
+      maintenance.save( 'addPatchSHA' );
 
       console.log( `Added SHA ${sha} to patch ${patchName}` );
     }
@@ -401,7 +814,7 @@ module.exports = ( function() {
 
       patch.shas.splice( index, 1 );
 
-      maintenance.save();
+      maintenance.save( 'removePatchSHA' );
 
       console.log( `Removed SHA ${sha} from patch ${patchName}` );
     }
@@ -424,7 +837,60 @@ module.exports = ( function() {
 
       patch.shas = [];
 
-      maintenance.save();
+      maintenance.save( 'removeAllPatchSHAs' );
+    }
+
+    /**
+     * Marks that a patch depends on another patch, so that (on release branches that need both) applyPatches will apply
+     * the other patch first, and won't apply this patch if the other one could not be applied.
+     * @public
+     *
+     * @param {string} patchName
+     * @param {string} dependencyPatchName - The patch that needs to be applied first
+     * @returns {Promise}
+     */
+    static async addPatchDependency( patchName, dependencyPatchName ) {
+      const maintenance = Maintenance.load();
+
+      const patch = maintenance.findPatch( patchName );
+      const dependencyPatch = maintenance.findPatch( dependencyPatchName );
+
+      if ( patch.dependsOn.includes( dependencyPatch.name ) ) {
+        console.log( `Patch ${patchName} already depends on ${dependencyPatchName}` );
+        return;
+      }
+
+      patch.dependsOn.push( dependencyPatch.name );
+
+      // Throws if this would create a cycle, before anything is saved
+      Patch.sortByDependencies( maintenance.patches );
+
+      maintenance.save( 'addPatchDependency' );
+
+      console.log( `Patch ${patchName} now depends on ${dependencyPatchName}` );
+    }
+
+    /**
+     * Removes a dependency of a patch on another patch.
+     * @public
+     *
+     * @param {string} patchName
+     * @param {string} dependencyPatchName
+     * @returns {Promise}
+     */
+    static async removePatchDependency( patchName, dependencyPatchName ) {
+      const maintenance = Maintenance.load();
+
+      const patch = maintenance.findPatch( patchName );
+
+      const index = patch.dependsOn.indexOf( dependencyPatchName );
+      assert( index >= 0, `Patch ${patchName} does not depend on ${dependencyPatchName}` );
+
+      patch.dependsOn.splice( index, 1 );
+
+      maintenance.save( 'removePatchDependency' );
+
+      console.log( `Patch ${patchName} no longer depends on ${dependencyPatchName}` );
     }
 
     /**
@@ -440,10 +906,18 @@ module.exports = ( function() {
 
       const patch = maintenance.findPatch( patchName );
 
+      const existingBranch = maintenance.modifiedBranches.find( modifiedBranch => modifiedBranch.repo === repo && modifiedBranch.branch === branch );
+      const releaseBranch = existingBranch ? existingBranch.releaseBranch : new ReleaseBranch( repo, branch, [], true );
+      const includedSHA = await Maintenance.getIncludedPatchSHA( releaseBranch, patch, existingBranch ? existingBranch.changedDependencies : {} );
+      if ( includedSHA ) {
+        console.log( `Patch ${patchName} is not needed for ${repo} ${branch}, ${patch.repo} already includes ${includedSHA}` );
+        return;
+      }
+
       const modifiedBranch = await maintenance.ensureModifiedBranch( repo, branch );
       modifiedBranch.neededPatches.push( patch );
 
-      maintenance.save();
+      maintenance.save( 'addNeededPatch' );
 
       console.log( `Added patch ${patchName} as needed for ${repo} ${branch}` );
     }
@@ -460,14 +934,65 @@ module.exports = ( function() {
 
       const patch = maintenance.findPatch( patchName );
 
+      const includedSHA = await Maintenance.getIncludedPatchSHA( releaseBranch, patch );
+      if ( includedSHA ) {
+        console.log( `Patch ${patchName} is not needed for ${releaseBranch.repo} ${releaseBranch.branch}, ${patch.repo} already includes ${includedSHA}` );
+        return;
+      }
+
       const modifiedBranch = new ModifiedBranch( releaseBranch );
       maintenance.modifiedBranches.push( modifiedBranch );
       modifiedBranch.neededPatches.push( patch );
-      maintenance.save();
+      maintenance.save( 'addNeededPatchReleaseBranch' );
 
       console.log( `Added patch ${patchName} as needed for ${releaseBranch.repo} ${releaseBranch.branch}` );
     }
 
+    /**
+     * Returns a SHA of the patch that is already included in the release branch's version of the patch's repo (its
+     * changed dependency if it has been patched, otherwise the SHA from dependencies.json), or null if none are included
+     * (or the repo isn't a dependency).
+     * @private
+     *
+     * @param {ReleaseBranch} releaseBranch
+     * @param {Patch} patch
+     * @param {Object} [changedDependencies] - see ModifiedBranch
+     * @returns {Promise.<string|null>}
+     */
+    static async getIncludedPatchSHA( releaseBranch, patch, changedDependencies = {} ) {
+      const changedSHA = changedDependencies[ patch.repo ];
+
+      for ( const sha of patch.shas ) {
+        try {
+          if ( changedSHA ? ( sha === changedSHA || await gitIsAncestor( patch.repo, sha, changedSHA ) ) : await releaseBranch.includesSHA( patch.repo, sha ) ) {
+            return sha;
+          }
+        }
+        catch( e ) {
+          // e.g. an unknown SHA, which will be reported when the patch is applied
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Removes a needed patch that is already included in a modified branch (removing the modified branch if it is no
+     * longer used).
+     * @private
+     *
+     * @param {Maintenance} maintenance
+     * @param {ModifiedBranch} modifiedBranch
+     * @param {Patch} patch
+     * @param {string} includedSHA
+     */
+    static pruneNeededPatch( maintenance, modifiedBranch, patch, includedSHA ) {
+      modifiedBranch.neededPatches.splice( modifiedBranch.neededPatches.indexOf( patch ), 1 );
+      maintenance.tryRemovingModifiedBranch( modifiedBranch );
+
+      console.log( `Removed needed patch ${patch.name} from ${modifiedBranch.repo} ${modifiedBranch.branch}, since ${patch.repo} already includes ${includedSHA}` );
+    }
+
     /**
      * Adds a needed patch to whatever subset of release branches match the filter.
      * @public
@@ -494,12 +1019,24 @@ module.exports = ( function() {
           continue;
         }
 
+        // Don't create (empty) modified branches for patches that are already included
+        const existingBranch = maintenance.modifiedBranches.find( modifiedBranch => modifiedBranch.repo === releaseBranch.repo && modifiedBranch.branch === releaseBranch.branch );
+        const includedSHA = await Maintenance.getIncludedPatchSHA( releaseBranch, patch, existingBranch ? existingBranch.changedDependencies : {} );
+        if ( includedSHA ) {
+          console.log( `  skipping ${releaseBranch.repo} ${releaseBranch.branch}, ${patch.repo} already includes ${includedSHA}` );
+          if ( existingBranch && existingBranch.neededPatches.includes( patch ) ) {
+            Maintenance.pruneNeededPatch( maintenance, existingBranch, patch, includedSHA );
+            maintenance.save( 'addNeededPatches' );
+          }
+          continue;
+        }
+
         const modifiedBranch = await maintenance.ensureModifiedBranch( releaseBranch.repo, releaseBranch.branch, false, releaseBranches );
         if ( !modifiedBranch.neededPatches.includes( patch ) ) {
           modifiedBranch.neededPatches.push( patch );
           console.log( `Added needed patch ${patchName} to ${releaseBranch.repo} ${releaseBranch.branch}` );
           count++;
-          maintenance.save(); // save here in case a future failure would "revert" things
+          maintenance.save( 'addNeededPatches' ); // save here in case a future failure would "revert" things
         }
         else {
           console.log( `Patch ${patchName} already included in ${releaseBranch.repo} ${releaseBranch.branch}` );
@@ -508,7 +1045,7 @@ module.exports = ( function() {
 
       console.log( `Added ${count} releaseBranches to patch: ${patchName}` );
 
-      maintenance.save();
+      maintenance.save( 'addNeededPatches' );
     }
 
     /**
@@ -598,7 +1135,7 @@ module.exports = ( function() {
       modifiedBranch.neededPatches.splice( index, 1 );
       maintenance.tryRemovingModifiedBranch( modifiedBranch );
 
-      maintenance.save();
+      maintenance.save( 'removeNeededPatch' );
 
       console.log( `Removed patch ${patchName} from ${repo} ${branch}` );
     }
@@ -638,7 +1175,7 @@ module.exports = ( function() {
       }
       console.log( `Removed ${count} releaseBranches from patch: ${patchName}` );
 
-      maintenance.save();
+      maintenance.save( 'removeNeededPatches' );
     }
 
     /**
@@ -723,29 +1260,225 @@ module.exports = ( function() {
     }
 
     /**
-     * Attempts to apply patches to the modified branches that are marked as needed.
+     * Shows whether a patch would cherry-pick cleanly onto every release branch, without modifying anything. Each SHA of
+     * the patch is tried (like applyPatches) in a throwaway git worktree of the patch's repo, at the SHA the release
+     * branch uses (from its dependencies.json, or its changed dependencies if it was already patched).
      * @public
+     *
+     * Results are one of:
+     *   clean - a SHA cherry-picks cleanly
+     *   conflict - no SHA cherry-picks cleanly
+     *   included - the changes are already included (a SHA is an ancestor, or cherry-picking makes no changes)
+     *   unused - the release branch doesn't depend on the patch's repo
+     *   error - the check failed (e.g. a SHA is not in the repo)
+     *
+     * @param {string} patchName
+     * @param {function(ReleaseBranch):Promise.<boolean>} [filter] - Optional filter, release branches will be skipped
+     *                                                               if this resolves to false
+     * @returns {Promise.<Array.<{repo:string, branch:string, needed:boolean, result:string, details:string}>>}
      */
-    static async applyPatches() {
+    static async previewPatch( patchName, filter ) {
       const maintenance = Maintenance.load();
-      let numApplied = 0;
+      const patch = maintenance.findPatch( patchName );
+      const patchRepo = patch.repo;
 
-      for ( const modifiedBranch of maintenance.modifiedBranches ) {
-        if ( modifiedBranch.neededPatches.length === 0 ) {
-          continue;
+      const releaseBranches = [];
+      for ( const releaseBranch of await Maintenance.getMaintenanceBranches() ) {
+        if ( !filter || await filter( releaseBranch ) ) {
+          releaseBranches.push( releaseBranch );
         }
+      }
 
-        const repo = modifiedBranch.repo;
-        const branch = modifiedBranch.branch;
+      const worktreeDirectory = fs.mkdtempSync( path.join( os.tmpdir(), `perennial-preview-${patchRepo}-` ) );
+      const worktreeExecute = args => execute( 'git', args, worktreeDirectory, { errors: 'resolve' } );
 
-        // Defensive copy, since we modify it during iteration
-        for ( const patch of modifiedBranch.neededPatches.slice() ) {
-          if ( patch.shas.length === 0 ) {
-            continue;
+      // Results of trying the patch on a specific SHA of the patch repo (shared by release branches that use the same SHA)
+      const shaResults = {};
+
+      /**
+       * @param {string} baseSHA
+       * @returns {Promise.<{result:string, details:string}>}
+       */
+      const tryPatch = async baseSHA => {
+        for ( const sha of patch.shas ) {
+          if ( sha === baseSHA || await gitIsAncestor( patchRepo, sha, baseSHA ) ) {
+            return { result: 'included', details: `${sha} is an ancestor` };
+          }
+        }
+
+        const failures = [];
+        for ( const sha of patch.shas ) {
+          await worktreeExecute( [ 'reset', '--hard', '--quiet' ] );
+          await worktreeExecute( [ 'checkout', '--detach', '--force', '--quiet', baseSHA ] );
+
+          const cherryPickResult = await worktreeExecute( [ 'cherry-pick', '--no-commit', sha ] );
+          if ( cherryPickResult.code === 0 ) {
+            const hasChanges = ( await worktreeExecute( [ 'diff', '--cached', '--quiet' ] ) ).code !== 0;
+            return hasChanges ? { result: 'clean', details: sha } : { result: 'included', details: `${sha} makes no changes` };
+          }
+
+          const conflicts = ( await worktreeExecute( [ 'diff', '--name-only', '--diff-filter=U' ] ) ).stdout.trim().split( '\n' ).filter( file => file.length );
+          failures.push( conflicts.length ? `${sha} (${conflicts.join( ', ' )})` : `${sha} (${cherryPickResult.stderr.trim().split( '\n' )[ 0 ]})` );
+        }
+
+        return { result: 'conflict', details: failures.join( '; ' ) };
+      };
+
+      const results = [];
+
+      try {
+        await execute( 'git', [ 'worktree', 'add', '--detach', worktreeDirectory ], `../${patchRepo}` );
+
+        for ( const releaseBranch of releaseBranches ) {
+          const modifiedBranch = maintenance.modifiedBranches.find( modifiedBranch => modifiedBranch.repo === releaseBranch.repo && modifiedBranch.branch === releaseBranch.branch );
+          const result = {
+            repo: releaseBranch.repo,
+            branch: releaseBranch.branch,
+            needed: !!modifiedBranch && modifiedBranch.neededPatches.includes( patch ),
+            result: 'error',
+            details: ''
+          };
+          results.push( result );
+
+          try {
+            const dependencies = await releaseBranch.getDependencies();
+            const changedSHA = modifiedBranch ? modifiedBranch.changedDependencies[ patchRepo ] : undefined;
+
+            if ( !dependencies[ patchRepo ] ) {
+              _.assign( result, { result: 'unused', details: `${patchRepo} is not a dependency` } );
+            }
+            else if ( !changedSHA && ( await Promise.all( patch.shas.map( sha => releaseBranch.includesSHA( patchRepo, sha ) ) ) ).some( _.identity ) ) {
+              _.assign( result, { result: 'included', details: 'included in dependencies.json' } );
+            }
+            else {
+              const baseSHA = changedSHA || dependencies[ patchRepo ].sha;
+              if ( !shaResults[ baseSHA ] ) {
+                shaResults[ baseSHA ] = await tryPatch( baseSHA );
+              }
+              _.assign( result, shaResults[ baseSHA ] );
+            }
+          }
+          catch( e ) {
+            result.details = e.message.split( '\n' )[ 0 ];
+          }
+        }
+      }
+      finally {
+        await execute( 'git', [ 'worktree', 'remove', '--force', worktreeDirectory ], `../${patchRepo}`, { errors: 'resolve' } );
+        await execute( 'git', [ 'worktree', 'prune' ], `../${patchRepo}`, { errors: 'resolve' } );
+        fs.rmSync( worktreeDirectory, { recursive: true, force: true } );
+      }
+
+      const rows = [
+        [ 'Release branch', 'Needed', 'Result', 'Details' ],
+        ...results.map( result => [ `${result.repo} ${result.branch}`, result.needed ? 'yes' : '', result.result, result.details ] )
+      ];
+      const widths = [ 0, 1, 2 ].map( column => _.max( rows.map( row => row[ column ].length ) ) );
+
+      console.log( `\nPreview of patch ${patch.name} (${patchRepo}) with SHAs: ${patch.shas.join( ', ' )}\n` );
+      for ( const row of rows ) {
+        console.log( row.map( ( cell, column ) => column < 3 ? cell.padEnd( widths[ column ] ) : cell ).join( '  ' ) );
+      }
+      console.log( `\n${_.map( _.countBy( results, 'result' ), ( count, result ) => `${result}: ${count}` ).join( ', ' )}` );
+
+      return results;
+    }
+
+    /**
+     * Attempts to apply patches to the modified branches that are marked as needed.
+     * @public
+     *
+     * @param {Object} [options] - dryRun=false - if true, the checkouts and cherry-picks that would be done are printed
+     *                             instead, and nothing (including the maintenance state) is modified.
+     *                             resolveConflicts=false - if true, when no SHA of a patch cherry-picks cleanly, the
+     *                             conflicted cherry-pick of its first SHA is left in place for manual resolution, and
+     *                             applying stops until Maintenance.continuePatch() (or abortPatch()) is called.
+     */
+    static async applyPatches( options ) {
+      options = _.merge( {
+        dryRun: false,
+        resolveConflicts: false
+      }, options );
+
+      const maintenance = Maintenance.load();
+      let numApplied = 0;
+
+      // Defensive copy, since branches may be removed when their needed patches are pruned
+      for ( const modifiedBranch of maintenance.modifiedBranches.slice() ) {
+        if ( modifiedBranch.neededPatches.length === 0 ) {
+          continue;
+        }
+
+        const repo = modifiedBranch.repo;
+        const branch = modifiedBranch.branch;
+
+        // Repos that would have been cherry-picked onto (and patches that would be applied) for this branch, during a dry run
+        const plannedRepos = [];
+        const plannedPatches = [];
+
+        // Sorted so that patches are applied after the patches they depend on (this is also a defensive copy, since we
+        // modify neededPatches during iteration)
+        const sortedPatches = Patch.sortByDependencies( modifiedBranch.neededPatches );
+
+        for ( const patch of sortedPatches ) {
+          if ( patch.shas.length === 0 ) {
+            continue;
           }
 
           const patchRepo = patch.repo;
 
+          // Prerequisites that are needed on this branch, but have not been applied (or planned, for a dry run)
+          const unappliedPrerequisites = patch.dependsOn.filter( name => {
+            return modifiedBranch.neededPatches.some( neededPatch => neededPatch.name === name ) &&
+                   !( options.dryRun && plannedPatches.includes( name ) );
+          } );
+          if ( unappliedPrerequisites.length ) {
+            console.log( `Skipping ${patch.name} for ${repo} ${branch}, since its prerequisite patch(es) have not been applied: ${unappliedPrerequisites.join( ', ' )}` );
+            continue;
+          }
+
+          if ( modifiedBranch.awaitingResolution[ patch.name ] ) {
+            console.log( `Skipping ${patch.name} for ${repo} ${branch}, it is awaiting manual resolution (see Maintenance.continuePatch)` );
+            continue;
+          }
+
+          const includedSHA = await Maintenance.getIncludedPatchSHA( modifiedBranch.releaseBranch, patch, modifiedBranch.changedDependencies );
+          if ( includedSHA ) {
+            if ( options.dryRun ) {
+              logPlan( `${repo} ${branch}: remove needed patch ${patch.name}, since ${patchRepo} already includes ${includedSHA}` );
+
+              // Its dependents can then be applied, as in the real run
+              plannedPatches.push( patch.name );
+            }
+            else {
+              Maintenance.pruneNeededPatch( maintenance, modifiedBranch, patch, includedSHA );
+            }
+            continue;
+          }
+
+          if ( options.dryRun ) {
+            if ( plannedRepos.includes( patchRepo ) ) {
+              logPlan( `${repo} ${branch}: stay on the previously cherry-picked ${patchRepo} commit` );
+            }
+            else if ( modifiedBranch.changedDependencies[ patchRepo ] ) {
+              logPlan( `${repo} ${branch}: git checkout ${modifiedBranch.changedDependencies[ patchRepo ]} in ${patchRepo}` );
+            }
+            else {
+              const dependencies = await modifiedBranch.releaseBranch.getDependencies();
+              if ( !dependencies[ patchRepo ] ) {
+                throw new Error( `Failure planning patch ${patchRepo} for ${repo} ${branch}: ${patchRepo} is not a dependency` );
+              }
+              logPlan( `${repo} ${branch}: git checkout ${dependencies[ patchRepo ].sha} in ${patchRepo}` );
+            }
+            logPlan( `${repo} ${branch}: git cherry-pick the first of [${patch.shas.join( ', ' )}] that applies in ${patchRepo}` );
+            logPlan( `${repo} ${branch}: record changedDependencies.${patchRepo}, add pending message: ${patch.message}` );
+
+            plannedRepos.push( patchRepo );
+            plannedPatches.push( patch.name );
+            numApplied++;
+            continue;
+          }
+
           try {
             // Checkout whatever the latest patched SHA is (if we've patched it)
             if ( modifiedBranch.changedDependencies[ patchRepo ] ) {
@@ -765,6 +1498,8 @@ module.exports = ( function() {
 
             console.log( `Checked out ${patchRepo} SHA for ${repo} ${branch}` );
 
+            let applied = false;
+
             for ( const sha of patch.shas ) {
 
               // If the sha doesn't exist in the repo, then give a specific error for that.
@@ -788,36 +1523,206 @@ module.exports = ( function() {
                   modifiedBranch.pendingMessages.push( patch.message );
                 }
 
+                applied = true;
                 break;
               }
               else {
                 console.log( `Could not cherry-pick ${sha}` );
               }
             }
+
+            if ( !applied && options.resolveConflicts ) {
+              const sha = patch.shas[ 0 ];
+
+              // Cherry-pick without aborting, so that the conflict stays in the working copy
+              const base = await gitRevParse( patchRepo, 'HEAD' );
+              await execute( 'git', [ 'cherry-pick', sha ], `../${patchRepo}`, { errors: 'resolve' } );
+
+              modifiedBranch.awaitingResolution[ patch.name ] = { sha: sha, base: base };
+              maintenance.save( 'applyPatches' );
+
+              console.log( `Left the conflicted cherry-pick of ${sha} in ${patchRepo} for ${repo} ${branch}.` );
+              console.log( `Resolve it and commit (git cherry-pick --continue), then run Maintenance.continuePatch( '${repo}', '${branch}', '${patch.name}' )` );
+              console.log( `${numApplied} patches applied before stopping` );
+              return;
+            }
           }
           catch( e ) {
-            maintenance.save();
+            maintenance.save( 'applyPatches' );
 
             throw new Error( `Failure applying patch ${patchRepo} to ${repo} ${branch}: ${e}` );
           }
         }
 
-        await gitCheckout( modifiedBranch.repo, 'main' );
+        if ( !options.dryRun ) {
+          await gitCheckout( modifiedBranch.repo, 'main' );
+        }
       }
 
-      maintenance.save();
+      if ( options.dryRun ) {
+        console.log( `${numApplied} patches would be attempted (dry run, nothing was modified)` );
+        return;
+      }
+
+      maintenance.save( 'applyPatches' );
 
       console.log( `${numApplied} patches applied` );
     }
 
+    /**
+     * Records the manually-resolved result of a conflicted cherry-pick (left in place by
+     * Maintenance.applyPatches( { resolveConflicts: true } )) as if the cherry-pick had succeeded: the resolved HEAD of
+     * the patch's repo is recorded in changedDependencies, and the patch message is moved into pendingMessages.
+     * The resolved HEAD needs to be a new commit on top of the SHA the conflicted cherry-pick was made onto, so an
+     * aborted cherry-pick (or a checkout of something else) isn't recorded as the patch.
+     * @public
+     *
+     * @param {string} repo
+     * @param {string} branch
+     * @param {string} patchName
+     * @returns {Promise}
+     */
+    static async continuePatch( repo, branch, patchName ) {
+      const maintenance = Maintenance.load();
+
+      const patch = maintenance.findPatch( patchName );
+      const modifiedBranch = await maintenance.ensureModifiedBranch( repo, branch, true );
+      assert( modifiedBranch.awaitingResolution[ patchName ], `Patch ${patchName} is not awaiting resolution for ${repo} ${branch}` );
+
+      const cherryPickInProgress = ( await execute( 'git', [ 'rev-parse', '-q', '--verify', 'CHERRY_PICK_HEAD' ], `../${patch.repo}`, { errors: 'resolve' } ) ).code === 0;
+      if ( cherryPickInProgress || !( await gitIsClean( patch.repo ) ) ) {
+        throw new Error( `The cherry-pick in ${patch.repo} is not finished, resolve and commit it (git cherry-pick --continue) first` );
+      }
+
+      const base = modifiedBranch.awaitingResolution[ patchName ].base;
+      if ( !base ) {
+        throw new Error( `The base SHA of the conflicted cherry-pick of ${patchName} was not recorded, run Maintenance.abortPatch( '${repo}', '${branch}', '${patchName}' ) and apply it again` );
+      }
+
+      const currentSHA = await gitRevParse( patch.repo, 'HEAD' );
+      if ( currentSHA === base || !( await gitIsAncestor( patch.repo, base, currentSHA ) ) ) {
+        throw new Error( `HEAD of ${patch.repo} (${currentSHA}) is not a new commit on top of ${base} (where ${patchName} was cherry-picked), was the cherry-pick aborted or something else checked out?` );
+      }
+
+      modifiedBranch.changedDependencies[ patch.repo ] = currentSHA;
+      modifiedBranch.neededPatches.splice( modifiedBranch.neededPatches.indexOf( patch ), 1 );
+      delete modifiedBranch.awaitingResolution[ patchName ];
+
+      // Don't include duplicate messages, since multiple patches might be for a single issue
+      if ( !modifiedBranch.pendingMessages.includes( patch.message ) ) {
+        modifiedBranch.pendingMessages.push( patch.message );
+      }
+
+      maintenance.save( 'continuePatch' );
+
+      console.log( `Recorded resolved ${patch.repo} ${currentSHA} for ${repo} ${branch}, patch ${patchName} applied` );
+    }
+
+    /**
+     * Gives up on the manual resolution of a conflicted cherry-pick (aborting it if it is still in progress). The patch
+     * stays needed for the branch.
+     * @public
+     *
+     * @param {string} repo
+     * @param {string} branch
+     * @param {string} patchName
+     * @returns {Promise}
+     */
+    static async abortPatch( repo, branch, patchName ) {
+      const maintenance = Maintenance.load();
+
+      const patch = maintenance.findPatch( patchName );
+      const modifiedBranch = await maintenance.ensureModifiedBranch( repo, branch, true );
+      assert( modifiedBranch.awaitingResolution[ patchName ], `Patch ${patchName} is not awaiting resolution for ${repo} ${branch}` );
+
+      const cherryPickInProgress = ( await execute( 'git', [ 'rev-parse', '-q', '--verify', 'CHERRY_PICK_HEAD' ], `../${patch.repo}`, { errors: 'resolve' } ) ).code === 0;
+      if ( cherryPickInProgress ) {
+        await execute( 'git', [ 'cherry-pick', '--abort' ], `../${patch.repo}` );
+      }
+
+      delete modifiedBranch.awaitingResolution[ patchName ];
+
+      maintenance.save( 'abortPatch' );
+
+      console.log( `Aborted resolution of patch ${patchName} for ${repo} ${branch}` );
+    }
+
+    /**
+     * Shows the combined changes that Maintenance.updateDependencies would push for a modified branch: for every changed
+     * dependency, the commits and full diff from the SHA in the branch's dependencies.json to the patched SHA, along
+     * with the pending commit message. Nothing is checked out or modified.
+     * @public
+     *
+     * @param {string} repo
+     * @param {string} branch
+     * @param {Object} [options] - file=null - if provided, the diff is written to this file (e.g. 'density-1.4.patch')
+     *                             instead of printed
+     * @returns {Promise.<string>} - The combined diff
+     */
+    static async diff( repo, branch, options ) {
+      options = _.merge( {
+        file: null
+      }, options );
+
+      const maintenance = Maintenance.load();
+      const modifiedBranch = await maintenance.ensureModifiedBranch( repo, branch, true );
+      const dependencies = await modifiedBranch.releaseBranch.getDependencies();
+      const changedRepos = Object.keys( modifiedBranch.changedDependencies ).sort();
+
+      const lines = [
+        `${repo} ${branch}: ${changedRepos.length} changed ${changedRepos.length === 1 ? 'dependency' : 'dependencies'}`,
+        `Pending commit message: updated dependencies.json for ${modifiedBranch.pendingMessages.join( ' and ' )}`
+      ];
+
+      for ( const dependency of changedRepos ) {
+        const sha = modifiedBranch.changedDependencies[ dependency ];
+        const previousSHA = dependencies[ dependency ] ? dependencies[ dependency ].sha : null;
+
+        lines.push( '', `=== ${dependency} ${previousSHA || '(none)'} => ${sha} ===` );
+
+        if ( !previousSHA ) {
+          lines.push( `${dependency} is not in the dependencies.json of ${repo} ${branch}` );
+          continue;
+        }
+
+        const log = await execute( 'git', [ 'log', '--oneline', `${previousSHA}..${sha}` ], `../${dependency}`, { errors: 'resolve' } );
+        const diff = await execute( 'git', [ 'diff', previousSHA, sha ], `../${dependency}`, { errors: 'resolve' } );
+
+        if ( log.code !== 0 || diff.code !== 0 ) {
+          lines.push( `Could not diff ${dependency}: ${( log.stderr || diff.stderr ).trim()}` );
+          continue;
+        }
+
+        lines.push( log.stdout.trim(), '', diff.stdout.trimEnd() );
+      }
+
+      const output = `${lines.join( '\n' )}\n`;
+
+      if ( options.file ) {
+        fs.writeFileSync( options.file, output );
+        console.log( `Wrote the diff for ${repo} ${branch} to ${options.file}` );
+      }
+      else {
+        console.log( output );
+      }
+
+      return output;
+    }
+
     /**
      * Pushes local changes up to GitHub.
      * @public
      *
      * @param {function(ModifiedBranch):Promise.<boolean>} [filter] - Optional filter, modified branches will be skipped
      *                                                                if this resolves to false
+     * @param {Object} [options] - dryRun=false - if true, the branch creations, pushes and dependencies.json edits that
+     *                             would be done are printed instead, and nothing is modified.
      */
-    static async updateDependencies( filter ) {
+    static async updateDependencies( filter, options ) {
+      options = _.merge( {
+        dryRun: false
+      }, options );
+
       const maintenance = Maintenance.load();
 
       for ( const modifiedBranch of maintenance.modifiedBranches ) {
@@ -831,6 +1736,14 @@ module.exports = ( function() {
           continue;
         }
 
+        if ( options.dryRun ) {
+          await Maintenance.planUpdateDependencies( modifiedBranch );
+          continue;
+        }
+
+        // Pushes made since the last save, recorded in the journal since they can't be reverted automatically
+        let remoteEffects = [];
+
         try {
           // No NPM needed
           await checkoutTarget( modifiedBranch.repo, modifiedBranch.branch, false );
@@ -859,6 +1772,7 @@ module.exports = ( function() {
                 console.log( `Attempting to (hopefully fast-forward) merge ${sha}` );
                 await execute( 'git', [ 'merge', sha ], `../${dependency}` );
                 await gitPush( dependency, dependencyBranch );
+                remoteEffects.push( `pushed ${sha} to ${dependency} ${dependencyBranch}` );
               }
             }
             else {
@@ -866,11 +1780,13 @@ module.exports = ( function() {
               await gitCheckout( dependency, sha );
               await gitCreateBranch( dependency, dependencyBranch );
               await gitPush( dependency, dependencyBranch );
+              remoteEffects.push( `created and pushed ${dependency} ${dependencyBranch} at ${sha}` );
             }
 
             delete modifiedBranch.changedDependencies[ dependency ];
             modifiedBranch.deployedVersion = null;
-            maintenance.save(); // save here in case a future failure would "revert" things
+            maintenance.save( 'updateDependencies', remoteEffects ); // save here in case a future failure would "revert" things
+            remoteEffects = [];
           }
 
           const message = modifiedBranch.pendingMessages.join( ' and ' );
@@ -878,6 +1794,7 @@ module.exports = ( function() {
           await gitAdd( modifiedBranch.repo, 'dependencies.json' );
           await gitCommit( modifiedBranch.repo, `updated dependencies.json for ${message}` );
           await gitPush( modifiedBranch.repo, modifiedBranch.branch );
+          remoteEffects.push( `pushed dependencies.json to ${modifiedBranch.repo} ${modifiedBranch.branch}` );
 
           // Move messages from pending to pushed
           for ( const message of modifiedBranch.pendingMessages ) {
@@ -886,30 +1803,80 @@ module.exports = ( function() {
             }
           }
           modifiedBranch.pendingMessages = [];
-          maintenance.save(); // save here in case a future failure would "revert" things
+          maintenance.save( 'updateDependencies', remoteEffects ); // save here in case a future failure would "revert" things
+          remoteEffects = [];
 
           await checkoutMain( modifiedBranch.repo, false );
         }
         catch( e ) {
-          maintenance.save();
+          maintenance.save( 'updateDependencies', remoteEffects );
 
           throw new Error( `Failure updating dependencies for ${modifiedBranch.repo} to ${modifiedBranch.branch}: ${e}` );
         }
       }
 
-      maintenance.save();
+      if ( options.dryRun ) {
+        console.log( 'Dependencies update planned (dry run, nothing was modified)' );
+        return;
+      }
+
+      maintenance.save( 'updateDependencies' );
 
       console.log( 'Dependencies updated' );
     }
 
+    /**
+     * Prints the steps that updateDependencies would take for a single modified branch, without modifying anything.
+     * @private
+     *
+     * @param {ModifiedBranch} modifiedBranch
+     * @returns {Promise}
+     */
+    static async planUpdateDependencies( modifiedBranch ) {
+      const repo = modifiedBranch.repo;
+      const branch = modifiedBranch.branch;
+      const dependencyBranch = modifiedBranch.dependencyBranch;
+      const dependencies = await modifiedBranch.releaseBranch.getDependencies();
+
+      logPlan( `${repo} ${branch}: check out ${branch} of ${repo} and its dependencies` );
+
+      for ( const dependency of Object.keys( modifiedBranch.changedDependencies ) ) {
+        const sha = modifiedBranch.changedDependencies[ dependency ];
+
+        if ( ( await getBranches( dependency ) ).includes( dependencyBranch ) ) {
+          logPlan( `${repo} ${branch}: git checkout ${dependencyBranch} in ${dependency}, pull, merge ${sha} and push (if not already at ${sha})` );
+        }
+        else {
+          logPlan( `${repo} ${branch}: git checkout ${sha} in ${dependency}, create branch ${dependencyBranch} and push` );
+        }
+
+        const previousSHA = dependencies[ dependency ] ? dependencies[ dependency ].sha : '(none)';
+        logPlan( `${repo} ${branch}: dependencies.json ${dependency} ${previousSHA} => ${sha}` );
+      }
+
+      logPlan( `${repo} ${branch}: dependencies.json ${repo} => latest commit of ${branch}` );
+      logPlan( `${repo} ${branch}: git commit "updated dependencies.json for ${modifiedBranch.pendingMessages.join( ' and ' )}" and push ${branch}` );
+      logPlan( `${repo} ${branch}: move pending messages to pushed messages, clear deployed version` );
+    }
+
     /**
      * Deploys RC versions of the modified branches that need it.
      * @public
      *
      * @param {function(ModifiedBranch):Promise.<boolean>} [filter] - Optional filter, modified branches will be skipped
      *                                                                if this resolves to false
+     * @param {Object} [options] - dryRun=false - if true, the deploys (and build-server requests) that would be done are
+     *                             printed instead, and nothing is modified.
+     *                             wait=true - waits for the build-server to complete each deploy, so that the deployed
+     *                             version is only recorded if the build succeeded. If false, it is recorded as soon as
+     *                             the build-server accepts the request.
      */
-    static async deployReleaseCandidates( filter ) {
+    static async deployReleaseCandidates( filter, options ) {
+      options = _.merge( {
+        dryRun: false,
+        wait: true
+      }, options );
+
       const maintenance = Maintenance.load();
 
       for ( const modifiedBranch of maintenance.modifiedBranches ) {
@@ -924,33 +1891,119 @@ module.exports = ( function() {
           continue;
         }
 
+        if ( options.dryRun ) {
+          logPlan( `${modifiedBranch.repo} ${modifiedBranch.branch}: bump to the next rc version, commit and push ${modifiedBranch.branch}` );
+          logPlan( `${modifiedBranch.repo} ${modifiedBranch.branch}: build-server request (dev) for brands ${modifiedBranch.brands.join( ',' )} with message: ${modifiedBranch.pushedMessages.join( ', ' )}` );
+          if ( options.wait ) {
+            logPlan( `${modifiedBranch.repo} ${modifiedBranch.branch}: wait for the build-server to complete the deploy` );
+          }
+          logPlan( `${modifiedBranch.repo} ${modifiedBranch.branch}: record the deployed rc version` );
+          continue;
+        }
+
         try {
           console.log( `Running RC deploy for ${modifiedBranch.repo} ${modifiedBranch.branch}` );
 
-          const version = await rc( modifiedBranch.repo, modifiedBranch.branch, modifiedBranch.brands, true, modifiedBranch.pushedMessages.join( ', ' ) );
+          const version = await rc( modifiedBranch.repo, modifiedBranch.branch, modifiedBranch.brands, true, modifiedBranch.pushedMessages.join( ', ' ), {
+            wait: options.wait
+          } );
           modifiedBranch.deployedVersion = version;
-          maintenance.save(); // save here in case a future failure would "revert" things
+          modifiedBranch.qaSignOff = null;
+          maintenance.save( 'deployReleaseCandidates', [ `deployed ${modifiedBranch.repo} ${version.toString()} (rc)` ] ); // save here in case a future failure would "revert" things
         }
         catch( e ) {
-          maintenance.save();
+          maintenance.save( 'deployReleaseCandidates' );
 
           throw new Error( `Failure with RC deploy for ${modifiedBranch.repo} to ${modifiedBranch.branch}: ${e}` );
         }
       }
 
-      maintenance.save();
+      if ( options.dryRun ) {
+        console.log( 'RC deploys planned (dry run, nothing was modified)' );
+        return;
+      }
+
+      maintenance.save( 'deployReleaseCandidates' );
 
       console.log( 'RC versions deployed' );
     }
 
+    /**
+     * Records QA's approval of the currently deployed release candidate of a modified branch, which is required (by
+     * default) before deployProduction will deploy it. Deploying a new release candidate clears the sign-off.
+     * @public
+     *
+     * @param {string} repo
+     * @param {string} branch
+     * @param {string} approver - Who verified the release candidate
+     * @param {Object} [options] - notes='' - any notes from testing.
+     *                             linksTested - the links that were tested, defaults to all of the deployed links from
+     *                             listLinks.
+     */
+    static async signOff( repo, branch, approver, options ) {
+      options = _.merge( {
+        notes: '',
+        linksTested: null
+      }, options );
+
+      const maintenance = Maintenance.load();
+      const modifiedBranch = await maintenance.ensureModifiedBranch( repo, branch, true );
+
+      if ( !modifiedBranch.deployedVersion || modifiedBranch.deployedVersion.testType !== 'rc' ) {
+        throw new Error( `No deployed release candidate for ${repo} ${branch} to sign off on` );
+      }
+
+      const linksTested = options.linksTested || ( await modifiedBranch.getDeployedLinkLines( false ) );
+
+      modifiedBranch.qaSignOff = new QASignOff( modifiedBranch.deployedVersion.toString(), approver, new Date().toISOString(), options.notes, linksTested );
+
+      maintenance.save( 'signOff' );
+
+      console.log( `${repo} ${branch}: ${modifiedBranch.qaSignOff.toString()}` );
+    }
+
+    /**
+     * Removes QA's approval of a modified branch.
+     * @public
+     *
+     * @param {string} repo
+     * @param {string} branch
+     */
+    static async revokeSignOff( repo, branch ) {
+      const maintenance = Maintenance.load();
+      const modifiedBranch = await maintenance.ensureModifiedBranch( repo, branch, true );
+
+      if ( !modifiedBranch.qaSignOff ) {
+        throw new Error( `No QA sign-off for ${repo} ${branch} to revoke` );
+      }
+
+      modifiedBranch.qaSignOff = null;
+
+      maintenance.save( 'revokeSignOff' );
+
+      console.log( `Revoked QA sign-off for ${repo} ${branch}` );
+    }
+
     /**
      * Deploys production versions of the modified branches that need it.
+     *
+     * By default, only branches whose deployed release candidate has been signed off by QA (see signOff) are deployed.
+     * Each production deploy records the approval in the QA audit trail (see qaApprovals).
      * @public
      *
      * @param {function(ModifiedBranch):Promise.<boolean>} [filter] - Optional filter, modified branches will be skipped
      *                                                                if this resolves to false
+     * @param {Object} [options] - dryRun=false - if true, the deploys (and build-server requests) that would be done are
+     *                             printed instead, and nothing is modified.
+     *                             requireSignOff=true - set to false to deploy branches without a QA sign-off (this
+     *                             override is recorded in the audit trail).
      */
-    static async deployProduction( filter ) {
+    static async deployProduction( filter, options ) {
+      options = _.merge( {
+        dryRun: false,
+        requireSignOff: true
+      }, options );
+
       const maintenance = Maintenance.load();
 
       for ( const modifiedBranch of maintenance.modifiedBranches ) {
@@ -963,26 +2016,106 @@ module.exports = ( function() {
           continue;
         }
 
+        if ( options.requireSignOff && !modifiedBranch.isSignedOff ) {
+          console.log( `Skipping production deploy for ${modifiedBranch.repo} ${modifiedBranch.branch}: QA has not signed off on ${modifiedBranch.deployedVersion.toString()}, see Maintenance.signOff() (or use { requireSignOff: false } to override)` );
+          continue;
+        }
+
+        if ( options.dryRun ) {
+          logPlan( `${modifiedBranch.repo} ${modifiedBranch.branch}: bump ${modifiedBranch.deployedVersion.toString()} to its production version, commit and push ${modifiedBranch.branch}` );
+          logPlan( `${modifiedBranch.repo} ${modifiedBranch.branch}: build-server request (dev, production) for brands ${modifiedBranch.brands.join( ',' )} with message: ${modifiedBranch.pushedMessages.join( ', ' )}` );
+          logPlan( `${modifiedBranch.repo} ${modifiedBranch.branch}: record the deployed production version, ${modifiedBranch.isSignedOff ? 'QA approval' : 'QA sign-off override'} and clear pushed messages` );
+          continue;
+        }
+
         try {
           console.log( `Running production deploy for ${modifiedBranch.repo} ${modifiedBranch.branch}` );
 
+          const releaseCandidateVersion = modifiedBranch.deployedVersion;
+          const signOff = modifiedBranch.isSignedOff ? modifiedBranch.qaSignOff : null;
+
           const version = await production( modifiedBranch.repo, modifiedBranch.branch, modifiedBranch.brands, true, false, modifiedBranch.pushedMessages.join( ', ' ) );
           modifiedBranch.deployedVersion = version;
           modifiedBranch.pushedMessages = [];
-          maintenance.save(); // save here in case a future failure would "revert" things
+          modifiedBranch.qaSignOff = null;
+
+          Maintenance.recordQAApproval( modifiedBranch, releaseCandidateVersion, version, signOff );
+
+          maintenance.save( 'deployProduction', [
+            `deployed ${modifiedBranch.repo} ${version.toString()} (production, ${signOff ? `QA signed off by ${signOff.approver}` : 'QA sign-off overridden'})`
+          ] ); // save here in case a future failure would "revert" things
         }
         catch( e ) {
-          maintenance.save();
+          maintenance.save( 'deployProduction' );
 
           throw new Error( `Failure with production deploy for ${modifiedBranch.repo} to ${modifiedBranch.branch}: ${e}` );
         }
       }
 
-      maintenance.save();
+      if ( options.dryRun ) {
+        console.log( 'Production deploys planned (dry run, nothing was modified)' );
+        return;
+      }
+
+      maintenance.save( 'deployProduction' );
 
       console.log( 'production versions deployed' );
     }
 
+    /**
+     * Appends a record of who verified a release candidate that was deployed to production to the QA audit trail.
+     * @private
+     *
+     * @param {ModifiedBranch} modifiedBranch
+     * @param {SimVersion} releaseCandidateVersion
+     * @param {SimVersion} productionVersion
+     * @param {QASignOff|null} signOff - null if the sign-off requirement was overridden
+     */
+    static recordQAApproval( modifiedBranch, releaseCandidateVersion, productionVersion, signOff ) {
+      fs.appendFileSync( QA_AUDIT_FILE, `${JSON.stringify( {
+        timestamp: new Date().toISOString(),
+        repo: modifiedBranch.repo,
+        branch: modifiedBranch.branch,
+        brands: modifiedBranch.brands,
+        releaseCandidateVersion: releaseCandidateVersion.toString(),
+        productionVersion: productionVersion.toString(),
+        signOff: signOff ? signOff.serialize() : null,
+        overridden: !signOff
+      } )}\n` );
+    }
+
+    /**
+     * Displays the QA audit trail: who verified each release candidate that was deployed to production.
+     * @public
+     *
+     * @param {function(Object):boolean} [filter] - Control which records are shown
+     * @returns {Promise.<Array.<Object>>} - The (filtered) records, oldest first
+     */
+    static async qaApprovals( filter = () => true ) {
+      const records = fs.existsSync( QA_AUDIT_FILE ) ?
+                      fs.readFileSync( QA_AUDIT_FILE, 'utf8' ).split( '\n' ).filter( line => line.trim().length ).map( line => JSON.parse( line ) ).filter( filter ) :
+                      [];
+
+      if ( records.length === 0 ) {
+        console.log( 'No QA approvals recorded' );
+      }
+
+      for ( const record of records ) {
+        console.log( `${record.timestamp} ${record.repo} ${record.branch} ${record.releaseCandidateVersion} => ${record.productionVersion}` );
+        if ( record.signOff ) {
+          console.log( `  approved by ${record.signOff.approver} at ${record.signOff.timestamp}${record.signOff.notes ? `: ${record.signOff.notes}` : ''}` );
+          for ( const link of record.signOff.linksTested ) {
+            console.log( `    ${link}` );
+          }
+        }
+        else {
+          console.log( '  QA sign-off requirement was overridden' );
+        }
+      }
+
+      return records;
+    }
+
     /**
      * Create a separate directory for each release branch. This does not interface with the saved maintenance state at
      * all, and instead just looks at the committed dependencies.json when updating.
@@ -1088,25 +2221,153 @@ module.exports = ( function() {
      *
      * NOTE: This does not use the current maintenance state!
      *
-     * @param {string} message - Generally an issue to reference
+     * Each deploy waits for the build server to complete it. Progress is checkpointed (per release branch: queued, sent,
+     * confirmed or failed, the step (rc or production) being deployed, the deployed versions, and the build server
+     * responses) to a separate file, so that an interrupted redeploy can be continued with { resume: true }, and the
+     * branches that failed can be redeployed with { retryFailed: true }. A branch whose RC was already deployed only
+     * retries the production deploy.
+     *
+     * @param {string|null} message - Generally an issue to reference (ignored when continuing from the checkpoint)
      * @param {function(ReleaseBranch):Promise.<boolean>} [filter] - Optional filter, release branches will be skipped
      *                                                                if this resolves to false
+     * @param {Object} [options] - resume=false - if true, continues the redeploy recorded in the checkpoint (the message
+     *                             and branches are taken from it), retryFailed=false - if true, only redeploys the
+     *                             branches of the checkpoint that failed
+     * @returns {Promise.<Object>} - The final checkpoint
      */
-    static async redeployAllProduction( message, filter ) {
-      // Ignore unreleased branches!
-      const releaseBranches = await Maintenance.getMaintenanceBranches( () => true, false );
+    static async redeployAllProduction( message, filter, options ) {
+      options = _.merge( {
+        resume: false,
+        retryFailed: false
+      }, options );
 
-      for ( const releaseBranch of releaseBranches ) {
-        if ( filter && !( await filter( releaseBranch ) ) ) {
+      let checkpoint;
+
+      if ( options.resume || options.retryFailed ) {
+        if ( !fs.existsSync( REDEPLOY_FILE ) ) {
+          throw new Error( `No redeploy checkpoint (${REDEPLOY_FILE}) found to continue` );
+        }
+        checkpoint = JSON.parse( fs.readFileSync( REDEPLOY_FILE, 'utf8' ) );
+
+        // Deploys that were sent but never confirmed may or may not have gone through
+        checkpoint.branches.filter( entry => entry.status === 'sent' ).forEach( entry => {
+          entry.status = 'failed';
+          entry.error = 'Interrupted after the deploy was sent, check the build server before retrying';
+        } );
+        console.log( `Continuing the redeploy for ${checkpoint.message} started ${checkpoint.startedAt}` );
+      }
+      else {
+        assert( typeof message === 'string', 'A message (generally an issue to reference) is required' );
+
+        if ( fs.existsSync( REDEPLOY_FILE ) ) {
+          const previous = JSON.parse( fs.readFileSync( REDEPLOY_FILE, 'utf8' ) );
+          if ( previous.branches.some( entry => entry.status !== 'confirmed' ) ) {
+            throw new Error( `An unfinished redeploy for ${previous.message} is recorded in ${REDEPLOY_FILE}. Use { resume: true } or { retryFailed: true } to continue it, or remove the file to start over.` );
+          }
+        }
+
+        // Ignore unreleased branches!
+        const releaseBranches = await Maintenance.getMaintenanceBranches( () => true, false );
+
+        checkpoint = {
+          message: message,
+          startedAt: new Date().toISOString(),
+          branches: []
+        };
+        for ( const releaseBranch of releaseBranches ) {
+          if ( !filter || await filter( releaseBranch ) ) {
+            checkpoint.branches.push( {
+              releaseBranch: releaseBranch.serialize(),
+              status: 'queued',
+              step: null,
+              rcVersion: null,
+              productionVersion: null,
+              responses: [],
+              error: null
+            } );
+          }
+        }
+      }
+
+      const saveCheckpoint = () => fs.writeFileSync( REDEPLOY_FILE, JSON.stringify( checkpoint, null, 2 ) );
+      saveCheckpoint();
+
+      const statusToRedeploy = options.retryFailed ? 'failed' : 'queued';
+
+      for ( const entry of checkpoint.branches ) {
+        const releaseBranch = ReleaseBranch.deserialize( entry.releaseBranch );
+
+        if ( entry.status !== statusToRedeploy || ( ( options.resume || options.retryFailed ) && filter && !( await filter( releaseBranch ) ) ) ) {
           continue;
         }
 
         console.log( releaseBranch.toString() );
-        await rc( releaseBranch.repo, releaseBranch.branch, releaseBranch.brands, true, message );
-        await production( releaseBranch.repo, releaseBranch.branch, releaseBranch.brands, true, false, message );
+
+        entry.status = 'sent';
+        entry.error = null;
+        saveCheckpoint();
+
+        // Responses are kept across retries (labeled with their step), so the RC responses stay in the summary when
+        // only the production step is retried
+        const onBuildServerResponse = response => {
+          entry.responses.push( _.assign( { step: entry.step }, response ) );
+          saveCheckpoint();
+        };
+
+        try {
+          // The rc step is skipped if it already succeeded (e.g. when retrying a failed production deploy), so that we
+          // don't bump and deploy another RC version
+          if ( !entry.rcVersion ) {
+            entry.step = 'rc';
+            saveCheckpoint();
+            entry.rcVersion = ( await rc( releaseBranch.repo, releaseBranch.branch, releaseBranch.brands, true, checkpoint.message, {
+              onBuildServerResponse: onBuildServerResponse,
+              wait: true
+            } ) ).toString();
+          }
+
+          entry.step = 'production';
+          saveCheckpoint();
+          entry.productionVersion = ( await production( releaseBranch.repo, releaseBranch.branch, releaseBranch.brands, true, false, checkpoint.message, {
+            onBuildServerResponse: onBuildServerResponse,
+            wait: true
+          } ) ).toString();
+          entry.step = null;
+          entry.status = 'confirmed';
+        }
+        catch( e ) {
+          entry.status = 'failed';
+          entry.error = `${e}`;
+          console.log( `Failed to redeploy ${releaseBranch.toString()} (${entry.step} step): ${e}` );
+        }
+        saveCheckpoint();
       }
 
       console.log( 'Finished redeploying' );
+      Maintenance.printRedeploySummary( checkpoint );
+
+      return checkpoint;
+    }
+
+    /**
+     * Prints a summary of a redeployAllProduction checkpoint.
+     * @private
+     *
+     * @param {Object} checkpoint
+     */
+    static printRedeploySummary( checkpoint ) {
+      const counts = _.countBy( checkpoint.branches, entry => entry.status );
+
+      console.log( `\nRedeploy summary for ${checkpoint.message} (started ${checkpoint.startedAt}):` );
+      console.log( [ 'confirmed', 'failed', 'sent', 'queued' ].map( status => `${counts[ status ] || 0} ${status}` ).join( ', ' ) );
+
+      for ( const entry of checkpoint.branches ) {
+        const releaseBranch = ReleaseBranch.deserialize( entry.releaseBranch );
+        const versions = [ entry.rcVersion, entry.productionVersion ].filter( _.identity ).join( ' => ' );
+
+        console.log( `  [${entry.status}] ${releaseBranch.toString()}${versions ? ` ${versions}` : ''}${entry.step ? ` (${entry.step} step)` : ''}${entry.error ? `: ${entry.error}` : ''}` );
+        entry.responses.forEach( response => console.log( `    build server${response.step ? ` (${response.step} step)` : ''} ${response.status}: ${JSON.stringify( response.data )}` ) );
+      }
     }
 
     /**
@@ -1147,7 +2408,7 @@ module.exports = ( function() {
 
     /**
      * Loads every potential ReleaseBranch (published phet and phet-io brands, as well as unreleased branches), and
-     * saves it to the maintenance state.
+     * saves it to the maintenance state (while holding the lock, see MaintenanceLock).
      * @public
      *
      * Call this with true to break the cache and force a recalculation of all ReleaseBranches
@@ -1167,7 +2428,14 @@ module.exports = ( function() {
         // cache miss
         releaseBranches = await ReleaseBranch.getAllMaintenanceBranches();
         maintenance.allReleaseBranches = releaseBranches;
-        maintenance.save();
+
+        // Loading takes minutes (and read-only commands don't hold the lock), so the state is re-loaded under the lock
+        // before caching, so that changes saved by other processes in the meantime aren't overwritten
+        MaintenanceLock.run( 'loadAllMaintenanceBranches', () => {
+          const current = Maintenance.load();
+          current.allReleaseBranches = releaseBranches;
+          current.save( 'loadAllMaintenanceBranches' );
+        } );
       }
 
       return releaseBranches;
@@ -1181,6 +2449,7 @@ module.exports = ( function() {
      */
     serialize() {
       return {
+        schemaVersion: MaintenanceSchema.SCHEMA_VERSION,
         patches: this.patches.map( patch => patch.serialize() ),
         modifiedBranches: this.modifiedBranches.map( modifiedBranch => modifiedBranch.serialize() ),
         allReleaseBranches: this.allReleaseBranches.map( releaseBranch => releaseBranch.serialize() )
@@ -1213,25 +2482,343 @@ module.exports = ( function() {
     }
 
     /**
-     * Saves the state of this object into the maintenance file.
+     * Saves the state of this object into the maintenance file, recording the changes (compared to the state it was
+     * loaded with, or last saved) in the journal.
      * @public
+     *
+     * @param {string} [operation] - The name of the operation that changed the state, shown in Maintenance.history()
+     * @param {Array.<string>} [remoteEffects] - Descriptions of changes made outside of the local state (pushes, deploys)
+     *                                           since the last save, which cannot be reverted with Maintenance.undo()
+     * @throws {Error} - if another process holds the lock, see MaintenanceLock
      */
-    save() {
-      return fs.writeFileSync( MAINTENANCE_FILE, JSON.stringify( this.serialize(), null, 2 ) );
+    save( operation = 'save', remoteEffects = [] ) {
+      MaintenanceLock.assertNotLockedByOthers();
+
+      // Not loaded from the file (e.g. a reset or restored state), so we don't know what the file contains
+      if ( !this.savedState ) {
+        const previous = Maintenance.load();
+        this.savedState = previous.savedState;
+        this.loadedSchemaVersion = previous.loadedSchemaVersion;
+      }
+
+      // Back up a file with an older schema before it is overwritten (migrating it)
+      if ( this.loadedSchemaVersion !== null && fs.existsSync( MAINTENANCE_FILE ) ) {
+        if ( MaintenanceSchema.getVersion( JSON.parse( fs.readFileSync( MAINTENANCE_FILE, 'utf8' ) ) ) === this.loadedSchemaVersion ) {
+          Maintenance.backUpOlderSchema( this.loadedSchemaVersion );
+        }
+        this.loadedSchemaVersion = null;
+      }
+
+      const serialized = this.serialize();
+      MaintenanceJournal.record( operation, this.savedState, serialized, remoteEffects );
+
+      fs.writeFileSync( MAINTENANCE_FILE, JSON.stringify( serialized, null, 2 ) );
+
+      // A copy, since the serialized state shares arrays with this object
+      this.savedState = _.cloneDeep( serialized );
+    }
+
+    /**
+     * Writes a backup of the maintenance file (with an older schema version), before it is migrated by a save.
+     * @private
+     *
+     * @param {number} version - The schema version of the file
+     */
+    static backUpOlderSchema( version ) {
+      const backupFile = `${MAINTENANCE_FILE}.v${version}.backup`;
+      fs.copyFileSync( MAINTENANCE_FILE, backupFile );
+
+      console.log( `Migrated ${MAINTENANCE_FILE} from schema version ${version} to ${MaintenanceSchema.SCHEMA_VERSION} (backup in ${backupFile}):` );
+      MaintenanceSchema.getMigrationDescriptions( version ).forEach( description => console.log( `  ${description}` ) );
     }
 
     /**
      * Loads a new Maintenance object (if possible) from the maintenance file.
+     *
+     * Files written with an older schema are migrated to the current one in memory. The file itself is only migrated
+     * when the state is saved (after a backup of the original is written to e.g. .maintenance.json.v1.backup), so that
+     * read-only commands don't modify it. Files that are malformed, or were written by a newer perennial, are rejected.
      * @public
      *
      * @returns {Maintenance}
+     * @throws {Error} - if the maintenance file is invalid, see MaintenanceSchema
      */
     static load() {
       if ( fs.existsSync( MAINTENANCE_FILE ) ) {
-        return Maintenance.deserialize( JSON.parse( fs.readFileSync( MAINTENANCE_FILE, 'utf8' ) ) );
+        const contents = fs.readFileSync( MAINTENANCE_FILE, 'utf8' );
+
+        let data;
+        try {
+          data = JSON.parse( contents );
+        }
+        catch( e ) {
+          throw new Error( `Invalid maintenance state: ${MAINTENANCE_FILE} is not valid JSON (${e.message})` );
+        }
+
+        const version = MaintenanceSchema.getVersion( data );
+        const maintenance = Maintenance.deserialize( MaintenanceSchema.upgrade( data ) );
+
+        maintenance.savedState = _.cloneDeep( maintenance.serialize() );
+        if ( version !== MaintenanceSchema.SCHEMA_VERSION ) {
+          maintenance.loadedSchemaVersion = version;
+        }
+
+        return maintenance;
+      }
+      else {
+        const maintenance = new Maintenance();
+        maintenance.savedState = maintenance.serialize();
+        return maintenance;
+      }
+    }
+
+    /**
+     * Lists the archived maintenance releases (see Maintenance.reset()).
+     * @public
+     *
+     * @returns {Promise.<Array.<string>>} - The archive names, oldest first
+     */
+    static async listArchives() {
+      const names = fs.existsSync( ARCHIVE_DIRECTORY ) ?
+                    fs.readdirSync( ARCHIVE_DIRECTORY ).filter( file => file.endsWith( '.json' ) ).map( file => file.slice( 0, -'.json'.length ) ).sort() :
+                    [];
+
+      if ( !names.length ) {
+        console.log( `No archived maintenance releases in ${ARCHIVE_DIRECTORY}` );
+      }
+      for ( const name of names ) {
+        const maintenance = Maintenance.readArchive( name ).maintenance;
+        const messages = _.uniq( _.flatten( maintenance.modifiedBranches.map( modifiedBranch => modifiedBranch.pushedMessages ) ) );
+
+        console.log( `${name}: ${maintenance.patches.length} patches, ${maintenance.modifiedBranches.length} modified branches` );
+        for ( const patch of maintenance.patches ) {
+          console.log( `  [${patch.name}] ${patch.message}` );
+        }
+        for ( const message of messages.filter( message => !maintenance.patches.some( patch => patch.message === message ) ) ) {
+          console.log( `  ${message}` );
+        }
+      }
+
+      return names;
+    }
+
+    /**
+     * Shows an archived maintenance release (see Maintenance.reset()), and optionally restores some (or all) of its
+     * patches and modified branches into the current maintenance state.
+     * @public
+     *
+     * @param {string} name - See Maintenance.listArchives()
+     * @param {Object} [options] - restore=false - if true, the patches/branches are added to the current state.
+     *                             patches=null - {Array.<string>|null} names of the patches to restore
+     *                             branches=null - {Array.<string>|null} modified branches to restore, e.g. 'density 1.4'
+     *                             (along with the patches they need). If both are null, everything is restored.
+     * @returns {Promise.<Maintenance>} - The archived state
+     */
+    static async loadArchive( name, options ) {
+      options = _.assign( {
+        restore: false,
+        patches: null,
+        branches: null
+      }, options );
+
+      const { archivedAt, maintenance: archived } = Maintenance.readArchive( name );
+
+      if ( !options.restore ) {
+        console.log( MaintenanceReport.render( MaintenanceReport.getData( archived, archivedAt ), 'markdown' ) );
+        return archived;
+      }
+
+      const restoreAll = options.patches === null && options.branches === null;
+      const modifiedBranches = archived.modifiedBranches.filter( modifiedBranch => {
+        return restoreAll || ( options.branches || [] ).includes( `${modifiedBranch.repo} ${modifiedBranch.branch}` );
+      } );
+      ( options.branches || [] ).forEach( key => {
+        if ( !archived.modifiedBranches.some( modifiedBranch => `${modifiedBranch.repo} ${modifiedBranch.branch}` === key ) ) {
+          throw new Error( `No modified branch ${key} in archive ${name}` );
+        }
+      } );
+
+      // Patches needed by the restored branches (and the patches those depend on) are restored with them
+      const patchNames = restoreAll ? archived.patches.map( patch => patch.name ) : _.uniq( [
+        ...( options.patches || [] ),
+        ..._.flatten( modifiedBranches.map( modifiedBranch => modifiedBranch.neededPatches.map( patch => patch.name ) ) )
+      ] );
+      for ( let i = 0; i < patchNames.length; i++ ) {
+        patchNames.push( ...archived.findPatch( patchNames[ i ] ).dependsOn.filter( dependency => !patchNames.includes( dependency ) ) );
+      }
+
+      const maintenance = Maintenance.load();
+      const patches = archived.patches.filter( patch => patchNames.includes( patch.name ) );
+
+      for ( const patch of patches ) {
+        if ( maintenance.patches.some( existingPatch => existingPatch.name === patch.name ) ) {
+          throw new Error( `A patch named ${patch.name} already exists, remove it before restoring it from ${name}` );
+        }
+      }
+      for ( const modifiedBranch of modifiedBranches ) {
+        if ( maintenance.modifiedBranches.some( existingBranch => existingBranch.repo === modifiedBranch.repo && existingBranch.branch === modifiedBranch.branch ) ) {
+          throw new Error( `${modifiedBranch.repo} ${modifiedBranch.branch} is already a modified branch, cannot restore it from ${name}` );
+        }
+      }
+
+      maintenance.patches.push( ...patches );
+      maintenance.modifiedBranches.push( ...modifiedBranches );
+      maintenance.save( 'loadArchive' );
+
+      console.log( `Restored ${patches.length} patches (${patches.map( patch => patch.name ).join( ', ' )}) and ${modifiedBranches.length} modified branches from ${name}` );
+
+      return archived;
+    }
+
+    /**
+     * Writes the (non-empty) maintenance state, and a markdown report of it, to a dated archive.
+     * @private
+     *
+     * @param {Maintenance} maintenance
+     * @returns {string|null} - The archive name, if it was archived
+     */
+    static writeArchive( maintenance ) {
+      if ( !maintenance.patches.length && !maintenance.modifiedBranches.length ) {
+        return null;
+      }
+
+      const timestamp = new Date().toISOString();
+
+      // Usable as a file name on every platform
+      const name = timestamp.replace( /[:.]/g, '-' );
+      const serialized = maintenance.serialize();
+
+      // The cached release branches aren't part of the maintenance release
+      serialized.allReleaseBranches = [];
+
+      fs.mkdirSync( ARCHIVE_DIRECTORY, { recursive: true } );
+      fs.writeFileSync( `${ARCHIVE_DIRECTORY}/${name}.json`, JSON.stringify( { archivedAt: timestamp, state: serialized }, null, 2 ) );
+      fs.writeFileSync( `${ARCHIVE_DIRECTORY}/${name}.md`, MaintenanceReport.render( MaintenanceReport.getData( maintenance, timestamp ), 'markdown' ) );
+
+      return name;
+    }
+
+    /**
+     * Reads an archive, with its maintenance state migrated to the current schema if needed.
+     * @private
+     *
+     * @param {string} name
+     * @returns {{archivedAt: string, maintenance: Maintenance}}
+     */
+    static readArchive( name ) {
+      const file = `${ARCHIVE_DIRECTORY}/${name.replace( /\.json$/, '' )}.json`;
+
+      if ( !fs.existsSync( file ) ) {
+        throw new Error( `No maintenance archive ${name} in ${ARCHIVE_DIRECTORY}, see Maintenance.listArchives()` );
+      }
+
+      const archive = JSON.parse( fs.readFileSync( file, 'utf8' ) );
+
+      return {
+        archivedAt: archive.archivedAt,
+        maintenance: Maintenance.deserialize( MaintenanceSchema.upgrade( archive.state ) )
+      };
+    }
+
+    /**
+     * Removes the lock on the maintenance state held by another process (e.g. a crashed REPL on another machine, or a
+     * command that is stuck), so that commands can be run from this one. See MaintenanceLock.
+     * @public
+     */
+    static takeOverLock() {
+      const lock = MaintenanceLock.takeOver();
+
+      if ( lock ) {
+        console.log( `Removed the maintenance lock of ${MaintenanceLock.describe( lock )}` );
       }
       else {
-        return new Maintenance();
+        console.log( 'The maintenance state is not locked by another process' );
+      }
+    }
+
+    /**
+     * Displays the journal of operations that have changed the maintenance state, with the remote effects (pushes,
+     * deploys) made during them.
+     * @public
+     *
+     * @returns {Promise}
+     */
+    static async history() {
+      const entries = MaintenanceJournal.load();
+
+      if ( entries.length === 0 ) {
+        console.log( 'No recorded maintenance operations' );
+      }
+
+      for ( const entry of entries ) {
+        console.log( `${entry.index}. ${entry.timestamp} ${entry.operation}` );
+        for ( const key of Object.keys( entry.patches ) ) {
+          console.log( `    patch ${key}${MaintenanceJournal.describeChange( entry.patches[ key ] )}` );
+        }
+        for ( const key of Object.keys( entry.modifiedBranches ) ) {
+          console.log( `    branch ${key}${MaintenanceJournal.describeChange( entry.modifiedBranches[ key ] )}` );
+        }
+        for ( const remoteEffect of entry.remoteEffects ) {
+          console.log( `    remote: ${remoteEffect}` );
+        }
+      }
+    }
+
+    /**
+     * Restores the local maintenance state to what it was right before the given journal entry (see
+     * Maintenance.history()), undoing that entry and everything after it. The undo is itself recorded in the journal.
+     * Pushes and deploys made during the undone operations are NOT reverted, and are printed so they can be handled
+     * manually.
+     * @public
+     *
+     * @param {number} [index] - The index of the earliest journal entry to undo. Defaults to the latest entry.
+     * @returns {Promise}
+     */
+    static async undo( index ) {
+      const entries = MaintenanceJournal.load();
+      assert( entries.length > 0, 'No recorded maintenance operations to undo' );
+
+      if ( index === undefined ) {
+        index = entries[ entries.length - 1 ].index;
+      }
+
+      const undoneEntries = entries.filter( entry => entry.index >= index );
+      assert( undoneEntries.length > 0, `No journal entry found for index ${index}` );
+
+      const maintenance = Maintenance.load();
+      const restored = Maintenance.deserialize( MaintenanceJournal.restore( maintenance.serialize(), undoneEntries ) );
+      restored.save( `undo to before #${index}` );
+
+      console.log( `Restored maintenance state to before #${index} (${undoneEntries[ 0 ].operation})` );
+
+      const remoteEffects = _.flatten( undoneEntries.map( entry => entry.remoteEffects ) );
+      if ( remoteEffects.length ) {
+        console.log( '\nThe following remote effects can NOT be reverted automatically, and may need manual attention:' );
+        for ( const remoteEffect of remoteEffects ) {
+          console.log( `  ${remoteEffect}` );
+        }
+      }
+    }
+
+    /**
+     * Displays the list of public commands, or the full help (parameters and examples) for a single command.
+     * @public
+     *
+     * @param {string} [commandName]
+     */
+    static help( commandName ) {
+      if ( commandName ) {
+        const command = MaintenanceCommand.get( commandName );
+        assert( command, `Unknown command ${commandName}, see help() for the list of commands` );
+
+        console.log( command.getHelp() );
+      }
+      else {
+        for ( const name of MaintenanceCommand.getNames() ) {
+          const command = MaintenanceCommand.get( name );
+          console.log( `${command.getSignature()}\n    ${command.description}` );
+        }
+        console.log( '\nUse help( \'commandName\' ) for parameters and examples.' );
       }
     }
 
@@ -1275,20 +2862,18 @@ module.exports = ( function() {
           } );
         };
 
-        // Only autocomplete "public" API functions for Maintenance.
-        // const nodeCompleter = session.completer;
-        // session.completer = function( text, cb ) {
-        //   nodeCompleter( text, ( _, [ completions, completed ] ) => {
-        //     const match = completed.match( /^Maintenance\.(\w*)+/ );
-        //     if ( match ) {
-        //       const funcStart = match[ 1 ];
-        //       cb( null, [ PUBLIC_FUNCTIONS.filter( f => f.startsWith( funcStart ) ).map( f => `Maintenance.${f}` ), completed ] );
-        //     }
-        //     else {
-        //       cb( null, [ completions, completed ] );
-        //     }
-        //   } );
-        // };
+        // Only autocomplete public commands for Maintenance (and for help)
+        const nodeCompleter = session.completer;
+        session.completer = ( text, callback ) => {
+          const match = text.match( /(?:\b(?:Maintenance|m|M)\.|\bhelp\(\s*['"])(\w*)$/ );
+          if ( match ) {
+            const commandStart = match[ 1 ];
+            callback( null, [ MaintenanceCommand.getNames().filter( name => name.startsWith( commandStart ) ), commandStart ] );
+          }
+          else {
+            nodeCompleter( text, callback );
+          }
+        };
 
         // Allow controlling verbosity
         Object.defineProperty( global, 'verbose', {
@@ -1300,9 +2885,24 @@ module.exports = ( function() {
           }
         } );
 
-        session.context.Maintenance = Maintenance;
-        session.context.m = Maintenance;
-        session.context.M = Maintenance;
+        // Validate the arguments of public commands before running them
+        const validatedMaintenance = new Proxy( Maintenance, {
+          get( target, property ) {
+            const command = typeof property === 'string' ? MaintenanceCommand.get( property ) : null;
+            if ( command ) {
+              return ( ...args ) => {
+                command.validate( args );
+                return target[ property ]( ...args );
+              };
+            }
+            return target[ property ];
+          }
+        } );
+
+        session.context.Maintenance = validatedMaintenance;
+        session.context.m = validatedMaintenance;
+        session.context.M = validatedMaintenance;
+        session.context.help = validatedMaintenance.help;
         session.context.ReleaseBranch = ReleaseBranch;
         session.context.rb = ReleaseBranch;
 
@@ -1372,5 +2972,12 @@ module.exports = ( function() {
     }
   }
 
+  // Hold the lock (see MaintenanceLock) while any command that can modify the maintenance state runs
+  MaintenanceCommand.COMMANDS.filter( command => command.requiresLock ).forEach( command => {
+    const method = Maintenance[ command.name ];
+
+    Maintenance[ command.name ] = ( ...args ) => MaintenanceLock.run( command.name, () => method.apply( Maintenance, args ) );
+  } );
+
   return Maintenance;
 } )();
\ No newline at end of file
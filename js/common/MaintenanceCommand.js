@@ -0,0 +1,390 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Describes a public Maintenance command (a static method of Maintenance), with its parameters and examples. The
+ * registry of all commands (MaintenanceCommand.COMMANDS) drives help(), tab completion and argument validation in the
+ * maintenance REPL.
+ */
+
+const ReleaseBranch = require( './ReleaseBranch' );
+const assert = require( 'assert' );
+
+module.exports = ( function() {
+
+  // Parameter descriptions shared by many commands
+  const REPO = { name: 'repo', type: 'string', description: 'The sim repository of the release branch' };
+  const BRANCH = { name: 'branch', type: 'string', description: 'The release branch, e.g. "1.4"' };
+  const PATCH_NAME = { name: 'patchName', alias: 'patch', type: 'string', description: 'The name of the patch' };
+  const SHA = { name: 'sha', type: 'string', description: 'A SHA in the patch\'s repository' };
+  const RELEASE_BRANCH_FILTER = {
+    name: 'filter',
+    type: 'function',
+    optional: true,
+    description: 'async function( releaseBranch ) => boolean, release branches are skipped if it resolves to false'
+  };
+  const MODIFIED_BRANCH_FILTER = {
+    name: 'filter',
+    type: 'function',
+    optional: true,
+    description: 'async function( modifiedBranch ) => boolean, modified branches are skipped if it resolves to false'
+  };
+  const DRY_RUN_OPTIONS = {
+    name: 'options',
+    type: 'Object',
+    optional: true,
+    description: '{ dryRun: true } prints what would be done without modifying anything'
+  };
+
+  class MaintenanceCommand {
+    /**
+     * @public
+     * @constructor
+     *
+     * @param {string} name - The name of the static Maintenance method
+     * @param {string} description
+     * @param {Array.<Object>} [parameters] - Each is { name: {string}, type: {string}, description: {string},
+     *                                        optional: {boolean}, alias: {string} }, where type is one of string|number|
+     *                                        boolean|function|Object|ReleaseBranch, and alias is an optional shorter
+     *                                        command-line option name
+     * @param {Array.<string>} [examples]
+     * @param {Object} [options] - requiresLock=true - whether the command can modify the maintenance state (so that the
+     *                             lock, see MaintenanceLock, is held while it runs)
+     */
+    constructor( name, description, parameters = [], examples = [], options = {} ) {
+      assert( typeof name === 'string' );
+      assert( typeof description === 'string' );
+      assert( Array.isArray( parameters ) );
+      parameters.forEach( parameter => assert( MaintenanceCommand.TYPES.includes( parameter.type ), `Unknown type ${parameter.type}` ) );
+      assert( Array.isArray( examples ) );
+
+      // @public {string}
+      this.name = name;
+      this.description = description;
+
+      // @public {Array.<Object>}
+      this.parameters = parameters;
+
+      // @public {Array.<string>}
+      this.examples = examples;
+
+      // @public {boolean}
+      this.requiresLock = options.requiresLock !== false;
+    }
+
+    /**
+     * Returns the usage signature, e.g. "Maintenance.createPatch( repo, message, [patchName] )".
+     * @public
+     *
+     * @returns {string}
+     */
+    getSignature() {
+      const parameterNames = this.parameters.map( parameter => parameter.optional ? `[${parameter.name}]` : parameter.name );
+
+      return `Maintenance.${this.name}(${parameterNames.length ? ` ${parameterNames.join( ', ' )} ` : ''})`;
+    }
+
+    /**
+     * Returns the full (multi-line) help text.
+     * @public
+     *
+     * @returns {string}
+     */
+    getHelp() {
+      const lines = [ this.getSignature(), '', `  ${this.description}` ];
+
+      if ( this.parameters.length ) {
+        lines.push( '', '  Parameters:' );
+        for ( const parameter of this.parameters ) {
+          lines.push( `    ${parameter.name} {${parameter.type}}${parameter.optional ? ' (optional)' : ''} - ${parameter.description}` );
+        }
+      }
+
+      if ( this.examples.length ) {
+        lines.push( '', '  Examples:' );
+        for ( const example of this.examples ) {
+          lines.push( `    ${example}` );
+        }
+      }
+
+      return lines.join( '\n' );
+    }
+
+    /**
+     * Throws an error describing every problem with the given arguments (if any).
+     * @public
+     *
+     * @param {Array.<*>} args
+     */
+    validate( args ) {
+      const problems = [];
+
+      if ( args.length > this.parameters.length ) {
+        problems.push( `expected at most ${this.parameters.length} arguments, got ${args.length}` );
+      }
+
+      this.parameters.forEach( ( parameter, index ) => {
+        const value = args[ index ];
+
+        if ( value === undefined || value === null ) {
+          if ( !parameter.optional ) {
+            problems.push( `${parameter.name} is required` );
+          }
+        }
+        else if ( !MaintenanceCommand.isOfType( value, parameter.type ) ) {
+          problems.push( `${parameter.name} should be of type ${parameter.type}, got ${JSON.stringify( value )}` );
+        }
+      } );
+
+      if ( problems.length ) {
+        throw new Error( `Invalid arguments for Maintenance.${this.name}: ${problems.join( ', ' )}\nUsage: ${this.getSignature()}` );
+      }
+    }
+
+    /**
+     * Whether a value is of a parameter type.
+     * @public
+     *
+     * @param {*} value
+     * @param {string} type
+     * @returns {boolean}
+     */
+    static isOfType( value, type ) {
+      switch( type ) {
+        case 'Object':
+          return typeof value === 'object';
+        case 'ReleaseBranch':
+          return value instanceof ReleaseBranch;
+        default:
+          return typeof value === type;
+      }
+    }
+
+    /**
+     * Returns the command with the given name (or null if there is no such command).
+     * @public
+     *
+     * @param {string} name
+     * @returns {MaintenanceCommand|null}
+     */
+    static get( name ) {
+      return MaintenanceCommand.COMMANDS.find( command => command.name === name ) || null;
+    }
+
+    /**
+     * Returns the (sorted) names of all commands.
+     * @public
+     *
+     * @returns {Array.<string>}
+     */
+    static getNames() {
+      return MaintenanceCommand.COMMANDS.map( command => command.name ).sort();
+    }
+  }
+
+  // @public {Array.<string>}
+  MaintenanceCommand.TYPES = [ 'string', 'number', 'boolean', 'function', 'Object', 'ReleaseBranch' ];
+
+  // @public {Array.<MaintenanceCommand>} - Every public Maintenance command
+  MaintenanceCommand.COMMANDS = [
+    new MaintenanceCommand( 'reset', 'Resets ALL the maintenance state to a default "blank" state (after archiving it, see listArchives).', [
+      { name: 'keepCachedReleaseBranches', type: 'boolean', optional: true, description: 'If true, keeps the cached list of all release branches' }
+    ], [ 'Maintenance.reset()', 'Maintenance.reset( true )' ] ),
+    new MaintenanceCommand( 'checkBranchStatus', 'Runs the health rules (see ReleaseBranchHealthRule) on every release branch.', [
+      RELEASE_BRANCH_FILTER,
+      { name: 'options', type: 'Object', optional: true, description: '{ json: false, rules: { [ruleName]: boolean } }' }
+    ], [ 'Maintenance.checkBranchStatus()', 'Maintenance.checkBranchStatus( null, { json: true, rules: { \'unreachable-dependency\': true } } )' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'buildAll', 'Builds every brand of all release branches in their own checkout directories, writing a pass/fail summary to build/release-branch-builds.', [
+      RELEASE_BRANCH_FILTER,
+      { name: 'options', type: 'Object', optional: true, description: '{ concurrent: 5, updateCheckout: true, buildOptions: {} }' }
+    ], [ 'Maintenance.buildAll()', 'Maintenance.buildAll( async rb => rb.repo === \'density\', { concurrent: 2 } )' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'list', 'Displays a listing of the current maintenance status.', [], [ 'Maintenance.list()' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'report', 'Renders the full maintenance state (patches, modified branches, messages, changed dependencies and unreleased branches) as markdown, standalone HTML or JSON.', [
+      { name: 'format', type: 'string', optional: true, description: 'One of markdown (default), html, json' },
+      { name: 'options', type: 'Object', optional: true, description: '{ file: \'maintenance-report.html\' } writes the report to a file instead of printing it' }
+    ], [ 'Maintenance.report()', 'Maintenance.report( \'html\', { file: \'maintenance-report.html\' } )', 'Maintenance.report( \'json\' )' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'listLinks', 'Shows any required testing links for the deployed simulations.', [
+      { name: 'filter', type: 'function', optional: true, description: 'function( modifiedBranch ) => boolean, controls which branches are shown' }
+    ], [ 'Maintenance.listLinks()' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'createQAIssue', 'Creates a QA issue (in phetsims/qa by default) with the fixed issues, the links and a checklist for each deployed sim/brand, and a suggested platform matrix.', [
+      { name: 'options', type: 'Object', optional: true, description: '{ repo: \'qa\', title, filter: modifiedBranch => boolean, platforms: [], labels: [], assignees: [], markdownOnly: false }' }
+    ], [ 'Maintenance.createQAIssue()', 'Maintenance.createQAIssue( { markdownOnly: true } )', 'Maintenance.createQAIssue( { assignees: [ \'jonathanolson\' ], platforms: [ \'Latest macOS, Chrome\' ] } )' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'createUnreleasedIssues', 'Creates an issue to note patches on all unreleased branches that include a pushed message.', [
+      { name: 'additionalNotes', type: 'string', optional: true, description: 'Included in each issue body' }
+    ], [ 'Maintenance.createUnreleasedIssues()' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'createPatch', 'Creates a patch.', [
+      { name: 'repo', type: 'string', description: 'The repository that the patch applies to' },
+      { name: 'message', type: 'string', description: 'Usually an issue URL, included in commit messages' },
+      { name: 'patchName', type: 'string', optional: true, description: 'Defaults to the repo' }
+    ], [ 'Maintenance.createPatch( \'scenery\', \'https://github.com/phetsims/scenery/issues/1234\' )' ] ),
+    new MaintenanceCommand( 'createPatchFromIssue', 'Creates patches (one per commit, applied in order) from all commits in active repos that reference a GitHub issue, using the issue title as the message.', [
+      { name: 'issueReference', type: 'string', alias: 'issue', description: 'e.g. phetsims/scenery#1234 or a GitHub issue URL' },
+      { name: 'options', type: 'Object', optional: true, description: '{ branch: \'main\', dryRun: false }' }
+    ], [ 'Maintenance.createPatchFromIssue( \'phetsims/scenery#1234\' )', 'Maintenance.createPatchFromIssue( \'phetsims/scenery#1234\', { dryRun: true } )' ] ),
+    new MaintenanceCommand( 'removePatch', 'Removes a patch (that is not needed by any branch).', [
+      PATCH_NAME
+    ], [ 'Maintenance.removePatch( \'scenery\' )' ] ),
+    new MaintenanceCommand( 'addPatchSHA', 'Adds a particular SHA (to cherry-pick) to a patch.', [
+      PATCH_NAME,
+      { name: 'sha', type: 'string', optional: true, description: 'Defaults to the HEAD of the patch\'s repository' }
+    ], [ 'Maintenance.addPatchSHA( \'scenery\', \'0123abcd\' )', 'Maintenance.addPatchSHA( \'scenery\' )' ] ),
+    new MaintenanceCommand( 'removePatchSHA', 'Removes a particular SHA (to cherry-pick) from a patch.', [
+      PATCH_NAME,
+      SHA
+    ], [ 'Maintenance.removePatchSHA( \'scenery\', \'0123abcd\' )' ] ),
+    new MaintenanceCommand( 'removeAllPatchSHAs', 'Removes all patch SHAs for a particular patch.', [
+      PATCH_NAME
+    ], [ 'Maintenance.removeAllPatchSHAs( \'scenery\' )' ] ),
+    new MaintenanceCommand( 'addPatchDependency', 'Marks that a patch depends on another patch, which applyPatches will then apply first.', [
+      PATCH_NAME,
+      { name: 'dependencyPatchName', type: 'string', alias: 'dependsOn', description: 'The name of the patch that needs to be applied first' }
+    ], [ 'Maintenance.addPatchDependency( \'sun\', \'scenery\' )' ] ),
+    new MaintenanceCommand( 'removePatchDependency', 'Removes a dependency of a patch on another patch.', [
+      PATCH_NAME,
+      { name: 'dependencyPatchName', type: 'string', alias: 'dependsOn', description: 'The name of the patch it no longer depends on' }
+    ], [ 'Maintenance.removePatchDependency( \'sun\', \'scenery\' )' ] ),
+    new MaintenanceCommand( 'addNeededPatch', 'Adds a needed patch to a given modified branch.', [
+      REPO,
+      BRANCH,
+      PATCH_NAME
+    ], [ 'Maintenance.addNeededPatch( \'density\', \'1.4\', \'scenery\' )' ] ),
+    new MaintenanceCommand( 'addNeededPatchReleaseBranch', 'Adds a needed patch to a given release branch.', [
+      { name: 'releaseBranch', type: 'ReleaseBranch', description: 'The release branch' },
+      PATCH_NAME
+    ], [ 'Maintenance.addNeededPatchReleaseBranch( new ReleaseBranch( \'density\', \'1.4\', [ \'phet\' ], true ), \'scenery\' )' ] ),
+    new MaintenanceCommand( 'addNeededPatches', 'Adds a needed patch to whatever subset of release branches match the filter.', [
+      PATCH_NAME,
+      { name: 'filter', type: 'function', description: 'async function( releaseBranch ) => boolean, whether the branch needs the patch' }
+    ], [ 'Maintenance.addNeededPatches( \'scenery\', async rb => rb.brands.includes( \'phet-io\' ) )' ] ),
+    new MaintenanceCommand( 'addAllNeededPatches', 'Adds a needed patch to all release branches.', [
+      PATCH_NAME
+    ], [ 'Maintenance.addAllNeededPatches( \'scenery\' )' ] ),
+    new MaintenanceCommand( 'addNeededPatchesBefore', 'Adds a needed patch to all release branches that do NOT include the given commit on the patch\'s repo.', [
+      PATCH_NAME,
+      SHA
+    ], [ 'Maintenance.addNeededPatchesBefore( \'scenery\', \'0123abcd\' )' ] ),
+    new MaintenanceCommand( 'addNeededPatchesAfter', 'Adds a needed patch to all release branches that DO include the given commit on the patch\'s repo.', [
+      PATCH_NAME,
+      SHA
+    ], [ 'Maintenance.addNeededPatchesAfter( \'scenery\', \'0123abcd\' )' ] ),
+    new MaintenanceCommand( 'addNeededPatchesBuildFilter', 'Adds a needed patch to all release branches whose built (phet brand) HTML satisfies the filter.', [
+      PATCH_NAME,
+      { name: 'filter', type: 'function', description: 'async function( releaseBranch, builtFileString ) => boolean' }
+    ], [ 'Maintenance.addNeededPatchesBuildFilter( \'scenery\', async ( rb, built ) => built.includes( \'Shape\' ) )' ] ),
+    new MaintenanceCommand( 'removeNeededPatch', 'Removes a needed patch from a given modified branch.', [
+      REPO,
+      BRANCH,
+      PATCH_NAME
+    ], [ 'Maintenance.removeNeededPatch( \'density\', \'1.4\', \'scenery\' )' ] ),
+    new MaintenanceCommand( 'removeNeededPatches', 'Removes a needed patch from whatever subset of (current) release branches match the filter.', [
+      PATCH_NAME,
+      { name: 'filter', type: 'function', description: 'async function( releaseBranch ) => boolean, whether the patch should be removed' }
+    ], [ 'Maintenance.removeNeededPatches( \'scenery\', async rb => rb.repo === \'density\' )' ] ),
+    new MaintenanceCommand( 'removeNeededPatchesBefore', 'Removes a needed patch from all release branches that do NOT include the given commit on the patch\'s repo.', [
+      PATCH_NAME,
+      SHA
+    ], [ 'Maintenance.removeNeededPatchesBefore( \'scenery\', \'0123abcd\' )' ] ),
+    new MaintenanceCommand( 'removeNeededPatchesAfter', 'Removes a needed patch from all release branches that DO include the given commit on the patch\'s repo.', [
+      PATCH_NAME,
+      SHA
+    ], [ 'Maintenance.removeNeededPatchesAfter( \'scenery\', \'0123abcd\' )' ] ),
+    new MaintenanceCommand( 'singleFileReleaseBranchFilter', 'Returns a release branch filter that checks the contents of a single file (with the release branch checked out).', [
+      { name: 'file', type: 'string', description: 'Path of the file, relative to perennial' },
+      { name: 'predicate', type: 'function', description: 'function( contents ) => boolean' }
+    ], [ 'Maintenance.addNeededPatches( \'phetmarks\', Maintenance.singleFileReleaseBranchFilter( \'../phetmarks/js/phetmarks.ts\', content => content.includes( \'data/wrappers\' ) ) )' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'checkoutBranch', 'Checks out a specific modified release branch (using local commit data as necessary).', [
+      REPO,
+      BRANCH,
+      { name: 'outputJS', type: 'boolean', optional: true, description: 'If true, also runs `grunt output-js-project`' }
+    ], [ 'Maintenance.checkoutBranch( \'density\', \'1.4\' )' ] ),
+    new MaintenanceCommand( 'previewPatch', 'Shows whether a patch would cherry-pick cleanly (or conflict, or is already included) on every release branch, without modifying anything.', [
+      PATCH_NAME,
+      RELEASE_BRANCH_FILTER
+    ], [ 'Maintenance.previewPatch( \'scenery\' )', 'Maintenance.previewPatch( \'scenery\', async rb => rb.repo === \'density\' )' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'applyPatches', 'Attempts to apply patches (with cherry-picks) to the modified branches that are marked as needed.', [
+      { name: 'options', type: 'Object', optional: true, description: '{ dryRun: true } prints what would be done, { resolveConflicts: true } leaves conflicts for Maintenance.continuePatch' }
+    ], [ 'Maintenance.applyPatches()', 'Maintenance.applyPatches( { dryRun: true } )', 'Maintenance.applyPatches( { resolveConflicts: true } )' ] ),
+    new MaintenanceCommand( 'continuePatch', 'Records the manually-resolved result of a conflicted cherry-pick as the applied patch.', [
+      REPO,
+      BRANCH,
+      PATCH_NAME
+    ], [ 'Maintenance.continuePatch( \'density\', \'1.4\', \'scenery\' )' ] ),
+    new MaintenanceCommand( 'abortPatch', 'Gives up on the manual resolution of a conflicted cherry-pick (the patch stays needed).', [
+      REPO,
+      BRANCH,
+      PATCH_NAME
+    ], [ 'Maintenance.abortPatch( \'density\', \'1.4\', \'scenery\' )' ] ),
+    new MaintenanceCommand( 'diff', 'Shows the commits and full diff of every changed dependency (and the pending commit message) that updateDependencies would push for a modified branch.', [
+      REPO,
+      BRANCH,
+      { name: 'options', type: 'Object', optional: true, description: '{ file: \'density-1.4.patch\' } writes the diff to a file instead of printing it' }
+    ], [ 'Maintenance.diff( \'density\', \'1.4\' )', 'Maintenance.diff( \'density\', \'1.4\', { file: \'density-1.4.patch\' } )' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'updateDependencies', 'Pushes the applied patches up to GitHub, and updates the dependencies.json of the release branches.', [
+      MODIFIED_BRANCH_FILTER,
+      DRY_RUN_OPTIONS
+    ], [ 'Maintenance.updateDependencies()', 'Maintenance.updateDependencies( null, { dryRun: true } )' ] ),
+    new MaintenanceCommand( 'deployReleaseCandidates', 'Deploys RC versions of the modified branches that need it (recording each once the build-server completes it).', [
+      MODIFIED_BRANCH_FILTER,
+      { name: 'options', type: 'Object', optional: true, description: '{ dryRun: true } prints what would be done without modifying anything, { wait: false } records the versions without waiting for the build-server' }
+    ], [ 'Maintenance.deployReleaseCandidates()', 'Maintenance.deployReleaseCandidates( null, { dryRun: true } )' ] ),
+    new MaintenanceCommand( 'signOff', 'Records QA\'s approval of the deployed release candidate of a modified branch (required for deployProduction).', [
+      REPO,
+      BRANCH,
+      { name: 'approver', type: 'string', description: 'Who verified the release candidate' },
+      { name: 'options', type: 'Object', optional: true, description: '{ notes: \'\', linksTested: (defaults to all deployed links) }' }
+    ], [ 'Maintenance.signOff( \'density\', \'1.2\', \'jdoe\', { notes: \'Tested on iPad\' } )' ] ),
+    new MaintenanceCommand( 'revokeSignOff', 'Removes QA\'s approval of a modified branch.', [
+      REPO,
+      BRANCH
+    ], [ 'Maintenance.revokeSignOff( \'density\', \'1.2\' )' ] ),
+    new MaintenanceCommand( 'deployProduction', 'Deploys production versions of the modified branches that need it (and have been signed off by QA).', [
+      MODIFIED_BRANCH_FILTER,
+      { name: 'options', type: 'Object', optional: true, description: '{ dryRun: false, requireSignOff: true }' }
+    ], [ 'Maintenance.deployProduction()', 'Maintenance.deployProduction( null, { dryRun: true } )', 'Maintenance.deployProduction( null, { requireSignOff: false } )' ] ),
+    new MaintenanceCommand( 'qaApprovals', 'Displays the QA audit trail of who verified each release candidate deployed to production.', [
+      { name: 'filter', type: 'function', optional: true, description: 'function( record ) => boolean, controls which records are shown' }
+    ], [ 'Maintenance.qaApprovals()', 'Maintenance.qaApprovals( record => record.repo === \'density\' )' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'updateCheckouts', 'Creates/updates a separate checkout directory for each release branch (and builds them).', [
+      RELEASE_BRANCH_FILTER,
+      { name: 'options', type: 'Object', optional: true, description: '{ concurrent: 5, build: true, transpile: true, buildOptions: { lint: true } }' }
+    ], [ 'Maintenance.updateCheckouts()', 'Maintenance.updateCheckouts( null, { build: false } )' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'checkUnbuiltCheckouts', 'Loads (and fuzzes) the unbuilt version of each release branch checkout, reporting errors.', [
+      RELEASE_BRANCH_FILTER
+    ], [ 'Maintenance.checkUnbuiltCheckouts()' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'checkBuiltCheckouts', 'Loads (and fuzzes) the built version of each release branch checkout, reporting errors.', [
+      RELEASE_BRANCH_FILTER
+    ], [ 'Maintenance.checkBuiltCheckouts()' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'redeployAllProduction', 'Redeploys production versions of all released branches (does not use the current maintenance state), checkpointing its progress so it can be resumed.', [
+      { name: 'message', type: 'string', optional: true, description: 'Generally an issue to reference (required unless continuing a checkpointed redeploy)' },
+      RELEASE_BRANCH_FILTER,
+      { name: 'options', type: 'Object', optional: true, description: '{ resume: true } continues an interrupted redeploy, { retryFailed: true } redeploys only the branches that failed' }
+    ], [
+      'Maintenance.redeployAllProduction( \'https://github.com/phetsims/special-ops/issues/1\' )',
+      'Maintenance.redeployAllProduction( null, null, { resume: true } )',
+      'Maintenance.redeployAllProduction( null, null, { retryFailed: true } )'
+    ] ),
+    new MaintenanceCommand( 'getMaintenanceBranches', 'Resolves to the (cached) list of release branches that could need maintenance.', [
+      { name: 'filterRepo', type: 'function', optional: true, description: 'function( releaseBranch ) => boolean, return false to exclude' },
+      { name: 'checkUnreleasedBranches', type: 'boolean', optional: true, description: 'If false, unreleased branches are excluded' },
+      { name: 'forceCacheBreak', type: 'boolean', optional: true, description: 'If true, recomputes all release branches' }
+    ], [ 'await Maintenance.getMaintenanceBranches( rb => rb.repo === \'density\' )' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'history', 'Displays the journal of operations that have changed the maintenance state.', [], [ 'Maintenance.history()' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'undo', 'Restores the local maintenance state to right before the given journal entry (pushes/deploys are not reverted).', [
+      { name: 'index', type: 'number', optional: true, description: 'The index of the earliest entry to undo, defaults to the latest' }
+    ], [ 'Maintenance.undo()', 'Maintenance.undo( 12 )' ] ),
+    new MaintenanceCommand( 'listArchives', 'Lists the maintenance releases archived by reset (in perennial/maintenance-history).', [], [ 'Maintenance.listArchives()' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'loadArchive', 'Shows an archived maintenance release, or restores some (or all) of its patches and modified branches.', [
+      { name: 'name', type: 'string', description: 'The archive name, see listArchives' },
+      { name: 'options', type: 'Object', optional: true, description: '{ restore: true, patches: [ patchName ], branches: [ \'density 1.4\' ] } restores the given patches/branches (everything if neither is given)' }
+    ], [
+      'Maintenance.loadArchive( \'2026-01-02T03-04-05-678Z\' )',
+      'Maintenance.loadArchive( \'2026-01-02T03-04-05-678Z\', { restore: true, patches: [ \'scenery\' ] } )',
+      'Maintenance.loadArchive( \'2026-01-02T03-04-05-678Z\', { restore: true, branches: [ \'density 1.4\' ] } )'
+    ] ),
+    new MaintenanceCommand( 'takeOverLock', 'Removes the lock on the maintenance state held by another process (if it is no longer running), so commands can be run here.', [], [ 'Maintenance.takeOverLock()' ], { requiresLock: false } ),
+    new MaintenanceCommand( 'help', 'Displays the list of commands, or the full help for a single command.', [
+      { name: 'commandName', type: 'string', optional: true, description: 'The command to show help for' }
+    ], [ 'help()', 'help( \'applyPatches\' )' ], { requiresLock: false } )
+  ];
+
+  return MaintenanceCommand;
+} )();
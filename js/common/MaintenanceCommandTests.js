@@ -0,0 +1,33 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node qunit tests for MaintenanceCommand
+ */
+
+/* eslint-env node */
+
+
+const Maintenance = require( './Maintenance' );
+const MaintenanceCommand = require( './MaintenanceCommand' );
+const qunit = require( 'qunit' );
+
+qunit.module( 'MaintenanceCommand' );
+
+qunit.test( 'registry', async assert => {
+  for ( const name of MaintenanceCommand.getNames() ) {
+    assert.ok( typeof Maintenance[ name ] === 'function', `Maintenance.${name} exists` );
+  }
+} );
+
+qunit.test( 'validation', async assert => {
+  const createPatch = MaintenanceCommand.get( 'createPatch' );
+
+  createPatch.validate( [ 'scenery', 'message' ] );
+  createPatch.validate( [ 'scenery', 'message', 'patchName' ] );
+  assert.throws( () => createPatch.validate( [ 'scenery' ] ), 'missing required parameter' );
+  assert.throws( () => createPatch.validate( [ 'scenery', 5 ] ), 'wrong type' );
+  assert.throws( () => createPatch.validate( [ 'scenery', 'message', 'patchName', 'extra' ] ), 'too many arguments' );
+
+  MaintenanceCommand.get( 'updateDependencies' ).validate( [ null, { dryRun: true } ] );
+  assert.throws( () => MaintenanceCommand.get( 'updateDependencies' ).validate( [ 'not a function' ] ), 'filter type' );
+} );
@@ -0,0 +1,253 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * An append-only journal (stored next to .maintenance.json) of every operation that changed the maintenance state.
+ * Each entry holds before/after snapshots of the serialized Patches and ModifiedBranches that changed, plus any
+ * remote effects (pushes, deploys) that happened during the operation, so that the local state can be restored to any
+ * earlier point. See Maintenance.history() and Maintenance.undo().
+ *
+ * Entries are stored one JSON object per line, of the form:
+ * {
+ *   index: {number},
+ *   timestamp: {string},
+ *   operation: {string},
+ *   patches: { [patchName]: { before: {Object|null}, after: {Object|null} } },
+ *   modifiedBranches: { [`${repo} ${branch}`]: { before: {Object|null}, after: {Object|null} } },
+ *   remoteEffects: {Array.<string>}
+ * }
+ */
+
+const fs = require( 'fs' );
+const _ = require( 'lodash' );
+
+// constants
+const JOURNAL_FILE = '.maintenance-journal.jsonl';
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+module.exports = ( function() {
+
+  /**
+   * Returns the identifying key of a serialized ModifiedBranch.
+   *
+   * @param {Object} modifiedBranch - see ModifiedBranch.serialize()
+   * @returns {string}
+   */
+  const getModifiedBranchKey = modifiedBranch => `${modifiedBranch.releaseBranch.repo} ${modifiedBranch.releaseBranch.branch}`;
+
+  /**
+   * Returns the identifying key of a serialized Patch.
+   *
+   * @param {Object} patch - see Patch.serialize()
+   * @returns {string}
+   */
+  const getPatchKey = patch => patch.name;
+
+  /**
+   * Returns a map of key => { before, after } for every item that differs between the two lists.
+   *
+   * @param {Array.<Object>} beforeItems
+   * @param {Array.<Object>} afterItems
+   * @param {function(Object):string} getKey
+   * @returns {Object}
+   */
+  const diffItems = ( beforeItems, afterItems, getKey ) => {
+    const changes = {};
+    const keys = _.uniq( [ ...beforeItems.map( getKey ), ...afterItems.map( getKey ) ] );
+
+    for ( const key of keys ) {
+      const before = beforeItems.find( item => getKey( item ) === key ) || null;
+      const after = afterItems.find( item => getKey( item ) === key ) || null;
+
+      if ( !_.isEqual( before, after ) ) {
+        changes[ key ] = { before: before, after: after };
+      }
+    }
+
+    return changes;
+  };
+
+  /**
+   * Returns a copy of the items, with each changed item replaced by its "before" snapshot.
+   *
+   * @param {Array.<Object>} items
+   * @param {Object} changes - key => { before, after }
+   * @param {function(Object):string} getKey
+   * @returns {Array.<Object>}
+   */
+  const revertItems = ( items, changes, getKey ) => {
+    items = items.slice();
+
+    for ( const key of Object.keys( changes ) ) {
+      const before = changes[ key ].before;
+      const index = items.findIndex( item => getKey( item ) === key );
+
+      if ( index >= 0 ) {
+        if ( before ) {
+          items[ index ] = before;
+        }
+        else {
+          items.splice( index, 1 );
+        }
+      }
+      else if ( before ) {
+        items.push( before );
+      }
+    }
+
+    return items;
+  };
+
+  /**
+   * Returns the index of the last journal entry (0 if there are none). Only the last line is read (backwards from the
+   * end of the file), so that recording an entry doesn't get slower as the journal grows.
+   *
+   * @returns {number}
+   */
+  const getLastIndex = () => {
+    if ( !fs.existsSync( JOURNAL_FILE ) ) {
+      return 0;
+    }
+
+    const fd = fs.openSync( JOURNAL_FILE, 'r' );
+    try {
+      const chunks = [];
+      let position = fs.fstatSync( fd ).size;
+      while ( position > 0 ) {
+        const length = Math.min( TAIL_CHUNK_SIZE, position );
+        position -= length;
+        const chunk = Buffer.alloc( length );
+        fs.readSync( fd, chunk, 0, length, position );
+        chunks.unshift( chunk );
+
+        // Ignoring the trailing newline, the last line starts after the last remaining newline
+        const text = Buffer.concat( chunks ).toString( 'utf8' ).trimEnd();
+        const lineStart = text.lastIndexOf( '\n' ) + 1;
+        if ( lineStart > 0 || position === 0 ) {
+          return text.length ? JSON.parse( text.slice( lineStart ) ).index : 0;
+        }
+      }
+      return 0;
+    }
+    finally {
+      fs.closeSync( fd );
+    }
+  };
+
+  class MaintenanceJournal {
+    /**
+     * Returns the differences between two serialized maintenance states (ignoring the cached release branches).
+     * @public
+     *
+     * @param {SerializedMaintenance} before
+     * @param {SerializedMaintenance} after
+     * @returns {{patches: Object, modifiedBranches: Object}}
+     */
+    static diff( before, after ) {
+      return {
+        patches: diffItems( before.patches || [], after.patches || [], getPatchKey ),
+        modifiedBranches: diffItems( before.modifiedBranches || [], after.modifiedBranches || [], getModifiedBranchKey )
+      };
+    }
+
+    /**
+     * Appends an entry for the operation to the journal (if anything changed, or there were remote effects).
+     * @public
+     *
+     * @param {string} operation
+     * @param {SerializedMaintenance} before
+     * @param {SerializedMaintenance} after
+     * @param {Array.<string>} remoteEffects
+     */
+    static record( operation, before, after, remoteEffects ) {
+      const changes = MaintenanceJournal.diff( before, after );
+
+      if ( Object.keys( changes.patches ).length === 0 &&
+           Object.keys( changes.modifiedBranches ).length === 0 &&
+           remoteEffects.length === 0 ) {
+        return;
+      }
+
+      const entry = {
+        index: getLastIndex() + 1,
+        timestamp: new Date().toISOString(),
+        operation: operation,
+        patches: changes.patches,
+        modifiedBranches: changes.modifiedBranches,
+        remoteEffects: remoteEffects
+      };
+
+      fs.appendFileSync( JOURNAL_FILE, `${JSON.stringify( entry )}\n` );
+    }
+
+    /**
+     * Loads all journal entries (oldest first).
+     * @public
+     *
+     * @returns {Array.<Object>}
+     */
+    static load() {
+      if ( !fs.existsSync( JOURNAL_FILE ) ) {
+        return [];
+      }
+
+      return fs.readFileSync( JOURNAL_FILE, 'utf8' ).split( '\n' ).filter( line => line.trim().length ).map( line => JSON.parse( line ) );
+    }
+
+    /**
+     * Returns the serialized state with the given entries undone (in reverse order).
+     * @public
+     *
+     * @param {SerializedMaintenance} state
+     * @param {Array.<Object>} entries - Journal entries, oldest first
+     * @returns {SerializedMaintenance}
+     */
+    static restore( state, entries ) {
+      let patches = state.patches;
+      let modifiedBranches = state.modifiedBranches;
+
+      for ( const entry of entries.slice().reverse() ) {
+        patches = revertItems( patches, entry.patches, getPatchKey );
+        modifiedBranches = revertItems( modifiedBranches, entry.modifiedBranches, getModifiedBranchKey );
+      }
+
+      return _.assign( {}, state, {
+        patches: patches,
+        modifiedBranches: modifiedBranches
+      } );
+    }
+
+    /**
+     * Returns the pushed messages that were included in the latest production deploy of a modified branch (which clears
+     * them from the branch), or an empty list if the journal has no such deploy.
+     * @public
+     *
+     * @param {Array.<Object>} entries - Journal entries, oldest first
+     * @param {string} repo
+     * @param {string} branch
+     * @returns {Array.<string>}
+     */
+    static getProductionMessages( entries, repo, branch ) {
+      for ( const entry of entries.slice().reverse() ) {
+        const change = entry.operation === 'deployProduction' ? entry.modifiedBranches[ `${repo} ${branch}` ] : null;
+
+        if ( change && change.before && change.after && change.before.pushedMessages.length && !change.after.pushedMessages.length ) {
+          return change.before.pushedMessages;
+        }
+      }
+      return [];
+    }
+
+    /**
+     * Returns a short description of a single journaled change.
+     * @public
+     *
+     * @param {{before: Object|null, after: Object|null}} change
+     * @returns {string}
+     */
+    static describeChange( change ) {
+      return change.before === null ? ' (added)' : change.after === null ? ' (removed)' : '';
+    }
+  }
+
+  return MaintenanceJournal;
+} )();
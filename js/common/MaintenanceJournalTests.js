@@ -0,0 +1,63 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node qunit tests for MaintenanceJournal
+ */
+
+/* eslint-env node */
+
+
+const MaintenanceJournal = require( './MaintenanceJournal' );
+const qunit = require( 'qunit' );
+
+qunit.module( 'MaintenanceJournal' );
+
+const createBranch = ( repo, branch, neededPatches ) => ( {
+  releaseBranch: { repo: repo, branch: branch, brands: [ 'phet' ], isReleased: true },
+  changedDependencies: {},
+  neededPatches: neededPatches,
+  pendingMessages: [],
+  pushedMessages: [],
+  deployedVersion: null
+} );
+
+qunit.test( 'diff and restore', async assert => {
+  const patch = { repo: 'scenery', name: 'scenery', message: 'fix', shas: [] };
+  const patchWithSHA = { repo: 'scenery', name: 'scenery', message: 'fix', shas: [ 'abc' ] };
+
+  const initial = { patches: [], modifiedBranches: [], allReleaseBranches: [] };
+  const withPatch = { patches: [ patch ], modifiedBranches: [], allReleaseBranches: [] };
+  const withSHA = { patches: [ patchWithSHA ], modifiedBranches: [], allReleaseBranches: [] };
+  const withBranch = { patches: [ patchWithSHA ], modifiedBranches: [ createBranch( 'bumper', '1.0', [ 'scenery' ] ) ], allReleaseBranches: [] };
+
+  const noChanges = MaintenanceJournal.diff( withSHA, withSHA );
+  assert.deepEqual( noChanges, { patches: {}, modifiedBranches: {} }, 'identical states have no changes' );
+
+  const entries = [
+    MaintenanceJournal.diff( initial, withPatch ),
+    MaintenanceJournal.diff( withPatch, withSHA ),
+    MaintenanceJournal.diff( withSHA, withBranch )
+  ];
+
+  assert.deepEqual( entries[ 0 ].patches.scenery, { before: null, after: patch }, 'added patch' );
+  assert.deepEqual( Object.keys( entries[ 2 ].modifiedBranches ), [ 'bumper 1.0' ], 'added branch key' );
+
+  assert.deepEqual( MaintenanceJournal.restore( withBranch, entries.slice( 2 ) ), withSHA, 'undo last' );
+  assert.deepEqual( MaintenanceJournal.restore( withBranch, entries.slice( 1 ) ), withPatch, 'undo last two' );
+  assert.deepEqual( MaintenanceJournal.restore( withBranch, entries ), initial, 'undo everything' );
+} );
+
+qunit.test( 'production messages', async assert => {
+  const deployed = Object.assign( createBranch( 'bumper', '1.0', [] ), { pushedMessages: [ 'fix A', 'fix B' ] } );
+  const cleared = createBranch( 'bumper', '1.0', [] );
+  const state = branch => ( { patches: [], modifiedBranches: [ branch ], allReleaseBranches: [] } );
+
+  const entries = [
+    Object.assign( { operation: 'updateDependencies' }, MaintenanceJournal.diff( state( cleared ), state( deployed ) ) ),
+    Object.assign( { operation: 'deployProduction' }, MaintenanceJournal.diff( state( deployed ), state( cleared ) ) )
+  ];
+
+  assert.deepEqual( MaintenanceJournal.getProductionMessages( entries, 'bumper', '1.0' ), [ 'fix A', 'fix B' ], 'cleared by the production deploy' );
+  assert.deepEqual( MaintenanceJournal.getProductionMessages( entries.slice( 0, 1 ), 'bumper', '1.0' ), [], 'not deployed to production' );
+  assert.deepEqual( MaintenanceJournal.getProductionMessages( entries, 'bumper', '1.1' ), [], 'other branches' );
+} );
\ No newline at end of file
@@ -0,0 +1,267 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * An advisory lock file (stored next to .maintenance.json) that is held while a command that modifies the maintenance
+ * state runs, so that two processes (e.g. two REPLs on the same account, or a cron job) can't clobber each other's
+ * changes. The lock is re-entrant within a process, since commands can call other commands.
+ *
+ * The lock file contains:
+ * {
+ *   owner: {string} - The user name
+ *   hostname: {string}
+ *   pid: {number}
+ *   command: {string} - The command that acquired the lock
+ *   startTime: {string} - ISO 8601 date of when it was acquired
+ * }
+ *
+ * A lock whose process no longer exists (on the same host) is stale, and will be replaced. Any other lock can be removed
+ * with Maintenance.takeOverLock().
+ */
+
+const fs = require( 'fs' );
+const os = require( 'os' );
+
+module.exports = ( function() {
+
+  // Locks from other hosts (where we can't check the process) older than this are reported as possibly stale
+  const POSSIBLY_STALE_MILLISECONDS = 24 * 60 * 60 * 1000;
+
+  // How many times the lock has been acquired (and not yet released) by this process
+  let depth = 0;
+
+  /**
+   * Returns the user name of this process.
+   *
+   * @returns {string}
+   */
+  const getOwner = () => {
+    try {
+      return os.userInfo().username;
+    }
+    catch( e ) {
+      return process.env.USER || process.env.USERNAME || 'unknown';
+    }
+  };
+
+  class MaintenanceLock {
+    /**
+     * Returns the current lock (or null if there is none).
+     * @public
+     *
+     * @returns {Object|null}
+     */
+    static read() {
+      if ( !fs.existsSync( MaintenanceLock.LOCK_FILE ) ) {
+        return null;
+      }
+      try {
+        return JSON.parse( fs.readFileSync( MaintenanceLock.LOCK_FILE, 'utf8' ) );
+      }
+      catch( e ) {
+        // A lock that another process is still writing, or a corrupted one. It is treated as held (since we can't tell
+        // which), so it can only be removed with Maintenance.takeOverLock().
+        let startTime = new Date().toISOString();
+        try {
+          startTime = fs.statSync( MaintenanceLock.LOCK_FILE ).mtime.toISOString();
+        }
+        catch( statError ) {
+          // removed in the meantime
+        }
+        return { owner: 'unknown', hostname: 'unknown', pid: null, command: 'unknown (unreadable lock file)', startTime: startTime, unreadable: true };
+      }
+    }
+
+    /**
+     * Whether the lock is held by this process.
+     * @public
+     *
+     * @param {Object} lock
+     * @returns {boolean}
+     */
+    static isOwn( lock ) {
+      return lock.pid === process.pid && lock.hostname === os.hostname();
+    }
+
+    /**
+     * Whether the lock is known to be stale (its process on this host no longer exists, or it has an invalid pid).
+     * Unreadable lock files are never considered stale, see read().
+     * @public
+     *
+     * @param {Object} lock
+     * @returns {boolean}
+     */
+    static isStale( lock ) {
+      if ( lock.unreadable ) {
+        return false;
+      }
+
+      // process.kill( -1, 0 ) would check whether we can signal any process at all
+      if ( !Number.isInteger( lock.pid ) || lock.pid <= 0 ) {
+        return true;
+      }
+      if ( lock.hostname !== os.hostname() ) {
+        return false;
+      }
+      try {
+        process.kill( lock.pid, 0 );
+        return false;
+      }
+      catch( e ) {
+        // EPERM means the process exists, but is owned by another user
+        return e.code !== 'EPERM';
+      }
+    }
+
+    /**
+     * Returns a description of a lock, e.g. for errors.
+     * @public
+     *
+     * @param {Object} lock
+     * @returns {string}
+     */
+    static describe( lock ) {
+      return `${lock.owner} (pid ${lock.pid} on ${lock.hostname}) running ${lock.command} since ${lock.startTime}`;
+    }
+
+    /**
+     * Acquires the lock (or increments the count if this process already holds it).
+     * @public
+     *
+     * @param {string} command
+     * @throws {Error} - if another (live) process holds the lock
+     */
+    static acquire( command ) {
+      if ( depth > 0 ) {
+        depth++;
+        return;
+      }
+
+      const lock = {
+        owner: getOwner(),
+        hostname: os.hostname(),
+        pid: process.pid,
+        command: command,
+        startTime: new Date().toISOString()
+      };
+
+      const existingLock = MaintenanceLock.read();
+      if ( existingLock && !MaintenanceLock.isOwn( existingLock ) ) {
+        if ( !MaintenanceLock.isStale( existingLock ) ) {
+          MaintenanceLock.throwLockedError( existingLock );
+        }
+        console.log( `Replacing stale maintenance lock of ${MaintenanceLock.describe( existingLock )}` );
+        fs.unlinkSync( MaintenanceLock.LOCK_FILE );
+      }
+      else if ( existingLock ) {
+        fs.unlinkSync( MaintenanceLock.LOCK_FILE );
+      }
+
+      try {
+        // Fails if the file was created in the meantime
+        fs.writeFileSync( MaintenanceLock.LOCK_FILE, JSON.stringify( lock, null, 2 ), { flag: 'wx' } );
+      }
+      catch( e ) {
+        if ( e.code === 'EEXIST' ) {
+          MaintenanceLock.throwLockedError( MaintenanceLock.read() );
+        }
+        throw e;
+      }
+      depth = 1;
+    }
+
+    /**
+     * Releases the lock (once it has been released as many times as it was acquired).
+     * @public
+     */
+    static release() {
+      if ( depth === 0 ) {
+        return;
+      }
+      depth--;
+
+      if ( depth === 0 ) {
+        const lock = MaintenanceLock.read();
+
+        // Don't remove the lock if someone took it over
+        if ( lock && MaintenanceLock.isOwn( lock ) ) {
+          fs.unlinkSync( MaintenanceLock.LOCK_FILE );
+        }
+      }
+    }
+
+    /**
+     * Runs a function while holding the lock. If it returns a Promise, the lock is held until it settles.
+     * @public
+     *
+     * @param {string} command
+     * @param {function():*} callback
+     * @returns {*} - The result of the callback
+     */
+    static run( command, callback ) {
+      MaintenanceLock.acquire( command );
+
+      let result;
+      try {
+        result = callback();
+      }
+      catch( e ) {
+        MaintenanceLock.release();
+        throw e;
+      }
+
+      if ( result instanceof Promise ) {
+        return result.finally( () => MaintenanceLock.release() );
+      }
+      MaintenanceLock.release();
+      return result;
+    }
+
+    /**
+     * Throws if another (live) process holds the lock, e.g. before writing the maintenance state.
+     * @public
+     *
+     * @throws {Error}
+     */
+    static assertNotLockedByOthers() {
+      const lock = MaintenanceLock.read();
+
+      if ( lock && !MaintenanceLock.isOwn( lock ) && !MaintenanceLock.isStale( lock ) ) {
+        MaintenanceLock.throwLockedError( lock );
+      }
+    }
+
+    /**
+     * Removes the lock held by another process (returning it), so that this process can acquire it.
+     * @public
+     *
+     * @returns {Object|null} - The removed lock
+     */
+    static takeOver() {
+      const lock = MaintenanceLock.read();
+
+      if ( lock && !MaintenanceLock.isOwn( lock ) ) {
+        fs.unlinkSync( MaintenanceLock.LOCK_FILE );
+        return lock;
+      }
+      return null;
+    }
+
+    /**
+     * @private
+     *
+     * @param {Object} lock
+     * @throws {Error}
+     */
+    static throwLockedError( lock ) {
+      const possiblyStale = Date.now() - new Date( lock.startTime ).getTime() > POSSIBLY_STALE_MILLISECONDS;
+
+      throw new Error( `The maintenance state is locked by ${MaintenanceLock.describe( lock )}.${possiblyStale ? ' The lock is over a day old, and may be stale.' : ''} ` +
+                       'If it is no longer running, use Maintenance.takeOverLock() to remove the lock.' );
+    }
+  }
+
+  // @public {string} - The lock file, next to .maintenance.json
+  MaintenanceLock.LOCK_FILE = '.maintenance.lock';
+
+  return MaintenanceLock;
+} )();
@@ -0,0 +1,105 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node qunit tests for MaintenanceLock
+ */
+
+/* eslint-env node */
+
+
+const MaintenanceLock = require( './MaintenanceLock' );
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+const qunit = require( 'qunit' );
+
+qunit.module( 'MaintenanceLock', {
+  beforeEach() {
+    this.lockFile = MaintenanceLock.LOCK_FILE;
+    this.directory = fs.mkdtempSync( path.join( os.tmpdir(), 'maintenance-lock-' ) );
+    MaintenanceLock.LOCK_FILE = path.join( this.directory, '.maintenance.lock' );
+  },
+  afterEach() {
+    MaintenanceLock.LOCK_FILE = this.lockFile;
+    fs.rmSync( this.directory, { recursive: true, force: true } );
+  }
+} );
+
+const writeLock = lock => fs.writeFileSync( MaintenanceLock.LOCK_FILE, JSON.stringify( lock ) );
+
+qunit.test( 'acquire and release', async assert => {
+  const result = MaintenanceLock.run( 'outer', () => {
+    assert.equal( MaintenanceLock.read().command, 'outer', 'lock held while running' );
+    assert.equal( MaintenanceLock.read().pid, process.pid );
+
+    MaintenanceLock.run( 'inner', () => {
+      assert.equal( MaintenanceLock.read().command, 'outer', 're-entrant' );
+    } );
+    assert.ok( MaintenanceLock.read(), 'still held after the nested command' );
+
+    return 5;
+  } );
+  assert.equal( result, 5 );
+  assert.equal( MaintenanceLock.read(), null, 'released' );
+
+  await MaintenanceLock.run( 'async', async () => {
+    await new Promise( resolve => setTimeout( resolve, 1 ) );
+    assert.ok( MaintenanceLock.read(), 'held until the promise settles' );
+  } );
+  assert.equal( MaintenanceLock.read(), null, 'released after the promise' );
+
+  assert.throws( () => MaintenanceLock.run( 'failing', () => { throw new Error( 'failure' ); } ), /failure/ );
+  assert.equal( MaintenanceLock.read(), null, 'released after an error' );
+} );
+
+qunit.test( 'locked by others', async assert => {
+  // The parent process is alive (and not this process)
+  const otherLock = { owner: 'other', hostname: os.hostname(), pid: process.ppid, command: 'applyPatches', startTime: new Date().toISOString() };
+
+  writeLock( otherLock );
+  assert.throws( () => MaintenanceLock.acquire( 'createPatch' ), /locked by other \(pid .*\) running applyPatches/ );
+  assert.throws( () => MaintenanceLock.assertNotLockedByOthers(), /takeOverLock/ );
+
+  assert.deepEqual( MaintenanceLock.takeOver(), otherLock, 'takeover returns the removed lock' );
+  assert.equal( MaintenanceLock.read(), null, 'takeover removes the lock' );
+
+  MaintenanceLock.run( 'createPatch', () => {
+    // Another process takes over the lock while this command runs
+    fs.unlinkSync( MaintenanceLock.LOCK_FILE );
+    writeLock( otherLock );
+  } );
+  assert.deepEqual( MaintenanceLock.read(), otherLock, 'a lock that was taken over is not removed on release' );
+} );
+
+qunit.test( 'stale locks', async assert => {
+  const deadProcess = require( 'child_process' ).spawnSync( process.execPath, [ '-e', '' ] ).pid;
+
+  writeLock( { owner: 'other', hostname: os.hostname(), pid: deadProcess, command: 'applyPatches', startTime: new Date().toISOString() } );
+  assert.ok( MaintenanceLock.isStale( MaintenanceLock.read() ), 'dead process' );
+  MaintenanceLock.run( 'createPatch', () => {
+    assert.equal( MaintenanceLock.read().pid, process.pid, 'stale lock replaced' );
+  } );
+
+  writeLock( { owner: 'other', hostname: `not-${os.hostname()}`, pid: deadProcess, command: 'applyPatches', startTime: new Date( 0 ).toISOString() } );
+  assert.notOk( MaintenanceLock.isStale( MaintenanceLock.read() ), 'processes on other hosts are not checked' );
+  assert.throws( () => MaintenanceLock.acquire( 'createPatch' ), /may be stale/ );
+} );
+
+qunit.test( 'unreadable locks', async assert => {
+  // e.g. created by another process that hasn't written it yet
+  fs.writeFileSync( MaintenanceLock.LOCK_FILE, '' );
+  assert.notOk( MaintenanceLock.isStale( MaintenanceLock.read() ), 'empty lock' );
+  assert.throws( () => MaintenanceLock.acquire( 'createPatch' ), /unreadable lock file/, 'treated as held' );
+  assert.throws( () => MaintenanceLock.assertNotLockedByOthers(), /takeOverLock/ );
+
+  fs.writeFileSync( MaintenanceLock.LOCK_FILE, '{"owner":"other","hostn' );
+  assert.throws( () => MaintenanceLock.acquire( 'createPatch' ), /unreadable lock file/, 'partially-written lock' );
+
+  assert.ok( MaintenanceLock.takeOver().unreadable, 'takeover removes it' );
+  MaintenanceLock.run( 'createPatch', () => {
+    assert.equal( MaintenanceLock.read().pid, process.pid, 'acquired after the takeover' );
+  } );
+
+  writeLock( { owner: 'other', hostname: `not-${os.hostname()}`, pid: 'abc', command: 'applyPatches', startTime: new Date().toISOString() } );
+  assert.ok( MaintenanceLock.isStale( MaintenanceLock.read() ), 'invalid pid' );
+} );
\ No newline at end of file
@@ -0,0 +1,290 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Renders the full state of a maintenance release (patches, modified branches, messages, changed dependencies and
+ * unreleased branches that need an issue) as markdown, standalone HTML or JSON, e.g. for attaching to the maintenance
+ * release GitHub issue or for archiving. See Maintenance.report().
+ */
+
+const _ = require( 'lodash' );
+
+module.exports = ( function() {
+
+  /**
+   * Escapes text for inclusion in HTML.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  const escapeHTML = text => `${text}`.replace( /&/g, '&amp;' ).replace( /</g, '&lt;' ).replace( />/g, '&gt;' ).replace( /"/g, '&quot;' );
+
+  /**
+   * Joins (e.g. multi-line commit message) text into one line, since markdown headings and list items end at a newline.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  const toMarkdownLine = text => `${text}`.replace( /\s*\r?\n\s*/g, ' ' );
+
+  /**
+   * Escapes text for a markdown table cell, which ends at a pipe (or a newline).
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  const toMarkdownCell = text => toMarkdownLine( text ).replace( /\|/g, '\\|' );
+
+  /**
+   * Returns a short description of where a modified branch is in the maintenance process.
+   *
+   * @param {ModifiedBranch} modifiedBranch
+   * @returns {string}
+   */
+  const getStatus = modifiedBranch => {
+    if ( Object.keys( modifiedBranch.awaitingResolution ).length ) {
+      return 'awaiting manual conflict resolution';
+    }
+    if ( modifiedBranch.neededPatches.length ) {
+      return 'needs patches';
+    }
+    if ( modifiedBranch.pendingMessages.length || Object.keys( modifiedBranch.changedDependencies ).length ) {
+      return 'patched, dependencies not updated';
+    }
+    if ( !modifiedBranch.releaseBranch.isReleased ) {
+      return 'unreleased, dependencies updated';
+    }
+    if ( modifiedBranch.deployedVersion === null ) {
+      return 'ready for a release candidate';
+    }
+    if ( modifiedBranch.deployedVersion.testType === 'rc' ) {
+      return modifiedBranch.isSignedOff ? 'release candidate signed off by QA' : 'release candidate deployed, awaiting QA';
+    }
+    return 'deployed to production';
+  };
+
+  class MaintenanceReport {
+    /**
+     * Returns the report data (which is also the JSON format).
+     * @public
+     *
+     * @param {Maintenance} maintenance
+     * @param {string} [timestamp] - ISO 8601 date of the report
+     * @returns {Object}
+     */
+    static getData( maintenance, timestamp = new Date().toISOString() ) {
+      return {
+        timestamp: timestamp,
+        patches: maintenance.patches.map( patch => ( {
+          name: patch.name,
+          repo: patch.repo,
+          message: patch.message,
+          shas: patch.shas,
+          dependsOn: patch.dependsOn,
+          neededBy: maintenance.modifiedBranches.filter( modifiedBranch => modifiedBranch.neededPatches.includes( patch ) )
+            .map( modifiedBranch => `${modifiedBranch.repo} ${modifiedBranch.branch}` )
+        } ) ),
+        modifiedBranches: maintenance.modifiedBranches.map( modifiedBranch => ( {
+          repo: modifiedBranch.repo,
+          branch: modifiedBranch.branch,
+          brands: modifiedBranch.brands,
+          isReleased: modifiedBranch.releaseBranch.isReleased,
+          status: getStatus( modifiedBranch ),
+          deployedVersion: modifiedBranch.deployedVersion ? modifiedBranch.deployedVersion.toString() : null,
+          qaSignOff: modifiedBranch.qaSignOff ? modifiedBranch.qaSignOff.serialize() : null,
+          neededPatches: modifiedBranch.neededPatches.map( patch => patch.name ),
+          awaitingResolution: Object.keys( modifiedBranch.awaitingResolution ),
+          pendingMessages: modifiedBranch.pendingMessages,
+          pushedMessages: modifiedBranch.pushedMessages,
+          changedDependencies: modifiedBranch.changedDependencies
+        } ) ),
+
+        // Unreleased branches with pushed changes, which need an issue (see Maintenance.createUnreleasedIssues)
+        unreleasedBranches: maintenance.modifiedBranches.filter( modifiedBranch => !modifiedBranch.releaseBranch.isReleased && modifiedBranch.pushedMessages.length )
+          .map( modifiedBranch => ( {
+            repo: modifiedBranch.repo,
+            branch: modifiedBranch.branch,
+            pushedMessages: modifiedBranch.pushedMessages
+          } ) )
+      };
+    }
+
+    /**
+     * Renders the report in a format.
+     * @public
+     *
+     * @param {Object} data - See getData()
+     * @param {string} format - See MaintenanceReport.FORMATS
+     * @returns {string}
+     */
+    static render( data, format ) {
+      if ( format === 'markdown' ) {
+        return MaintenanceReport.toMarkdown( data );
+      }
+      else if ( format === 'html' ) {
+        return MaintenanceReport.toHTML( data );
+      }
+      else if ( format === 'json' ) {
+        return `${JSON.stringify( data, null, 2 )}\n`;
+      }
+      throw new Error( `Unknown report format: ${format}, available formats: ${MaintenanceReport.FORMATS.join( ', ' )}` );
+    }
+
+    /**
+     * @public
+     *
+     * @param {Object} data - See getData()
+     * @returns {string}
+     */
+    static toMarkdown( data ) {
+      const lines = [ '# Maintenance release report', '', `Generated ${data.timestamp}` ];
+
+      lines.push( '', '## Patches' );
+      if ( !data.patches.length ) {
+        lines.push( '', 'None' );
+      }
+      for ( const patch of data.patches ) {
+        lines.push( '', `### ${toMarkdownLine( patch.name )}${patch.name !== patch.repo ? ` (${patch.repo})` : ''}`, '', patch.message, '' );
+        if ( patch.dependsOn.length ) {
+          lines.push( `- Depends on: ${patch.dependsOn.join( ', ' )}` );
+        }
+        lines.push( `- SHAs: ${patch.shas.length ? patch.shas.map( sha => `\`${sha}\`` ).join( ', ' ) : 'none'}` );
+        lines.push( `- Still needed by: ${patch.neededBy.length ? patch.neededBy.join( ', ' ) : 'none'}` );
+      }
+
+      lines.push( '', '## Modified branches', '' );
+      if ( !data.modifiedBranches.length ) {
+        lines.push( 'None' );
+      }
+      else {
+        lines.push( '| Branch | Brands | Status | Deployed version | Needed patches |', '| --- | --- | --- | --- | --- |' );
+        for ( const modifiedBranch of data.modifiedBranches ) {
+          lines.push( `| ${[
+            `${modifiedBranch.repo} ${modifiedBranch.branch}${modifiedBranch.isReleased ? '' : ' (unreleased)'}`,
+            modifiedBranch.brands.join( ', ' ),
+            modifiedBranch.status,
+            modifiedBranch.deployedVersion || '',
+            modifiedBranch.neededPatches.join( ', ' )
+          ].map( toMarkdownCell ).join( ' | ' )} |` );
+        }
+      }
+
+      for ( const modifiedBranch of data.modifiedBranches ) {
+        const details = [];
+
+        if ( modifiedBranch.qaSignOff ) {
+          details.push( `- QA sign-off: ${modifiedBranch.qaSignOff.version} by ${modifiedBranch.qaSignOff.approver} (${modifiedBranch.qaSignOff.timestamp})` );
+        }
+        if ( modifiedBranch.awaitingResolution.length ) {
+          details.push( `- Awaiting manual resolution: ${toMarkdownLine( modifiedBranch.awaitingResolution.join( ', ' ) )}` );
+        }
+        if ( modifiedBranch.pushedMessages.length ) {
+          details.push( '- Pushed messages:', ...modifiedBranch.pushedMessages.map( message => `  - ${toMarkdownLine( message )}` ) );
+        }
+        if ( modifiedBranch.pendingMessages.length ) {
+          details.push( '- Pending messages:', ...modifiedBranch.pendingMessages.map( message => `  - ${toMarkdownLine( message )}` ) );
+        }
+        if ( _.size( modifiedBranch.changedDependencies ) ) {
+          details.push( '- Changed dependencies:', ..._.map( modifiedBranch.changedDependencies, ( sha, repo ) => `  - ${repo}: \`${sha}\`` ) );
+        }
+
+        if ( details.length ) {
+          lines.push( '', `### ${modifiedBranch.repo} ${modifiedBranch.branch}`, '', ...details );
+        }
+      }
+
+      lines.push( '', '## Unreleased branches needing an issue', '' );
+      if ( !data.unreleasedBranches.length ) {
+        lines.push( 'None' );
+      }
+      for ( const unreleasedBranch of data.unreleasedBranches ) {
+        lines.push( `- ${unreleasedBranch.repo} ${unreleasedBranch.branch}: ${toMarkdownLine( unreleasedBranch.pushedMessages.join( ', ' ) )}` );
+      }
+
+      return `${lines.join( '\n' )}\n`;
+    }
+
+    /**
+     * @public
+     *
+     * @param {Object} data - See getData()
+     * @returns {string}
+     */
+    static toHTML( data ) {
+      const list = items => items.length ? `<ul>${items.map( item => `<li>${item}</li>` ).join( '' )}</ul>` : '<p>None</p>';
+      const code = text => `<code>${escapeHTML( text )}</code>`;
+
+      const patches = data.patches.map( patch => [
+        `<h3>${escapeHTML( patch.name )}${patch.name !== patch.repo ? ` (${escapeHTML( patch.repo )})` : ''}</h3>`,
+        `<p>${escapeHTML( patch.message )}</p>`,
+        list( [
+          ...( patch.dependsOn.length ? [ `Depends on: ${escapeHTML( patch.dependsOn.join( ', ' ) )}` ] : [] ),
+          `SHAs: ${patch.shas.length ? patch.shas.map( code ).join( ', ' ) : 'none'}`,
+          `Still needed by: ${patch.neededBy.length ? escapeHTML( patch.neededBy.join( ', ' ) ) : 'none'}`
+        ] )
+      ].join( '\n' ) );
+
+      const rows = data.modifiedBranches.map( modifiedBranch => `<tr>${[
+        `${modifiedBranch.repo} ${modifiedBranch.branch}${modifiedBranch.isReleased ? '' : ' (unreleased)'}`,
+        modifiedBranch.brands.join( ', ' ),
+        modifiedBranch.status,
+        modifiedBranch.deployedVersion || '',
+        modifiedBranch.neededPatches.join( ', ' )
+      ].map( cell => `<td>${escapeHTML( cell )}</td>` ).join( '' )}</tr>` );
+
+      const branchDetails = data.modifiedBranches.map( modifiedBranch => {
+        const details = [];
+
+        if ( modifiedBranch.qaSignOff ) {
+          details.push( `QA sign-off: ${escapeHTML( `${modifiedBranch.qaSignOff.version} by ${modifiedBranch.qaSignOff.approver} (${modifiedBranch.qaSignOff.timestamp})` )}` );
+        }
+        if ( modifiedBranch.awaitingResolution.length ) {
+          details.push( `Awaiting manual resolution: ${escapeHTML( modifiedBranch.awaitingResolution.join( ', ' ) )}` );
+        }
+        if ( modifiedBranch.pushedMessages.length ) {
+          details.push( `Pushed messages: ${list( modifiedBranch.pushedMessages.map( escapeHTML ) )}` );
+        }
+        if ( modifiedBranch.pendingMessages.length ) {
+          details.push( `Pending messages: ${list( modifiedBranch.pendingMessages.map( escapeHTML ) )}` );
+        }
+        if ( _.size( modifiedBranch.changedDependencies ) ) {
+          details.push( `Changed dependencies: ${list( _.map( modifiedBranch.changedDependencies, ( sha, repo ) => `${escapeHTML( repo )}: ${code( sha )}` ) )}` );
+        }
+
+        return details.length ? `<h3>${escapeHTML( `${modifiedBranch.repo} ${modifiedBranch.branch}` )}</h3>\n${list( details )}` : '';
+      } ).filter( _.identity );
+
+      return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Maintenance release report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; }
+</style>
+</head>
+<body>
+<h1>Maintenance release report</h1>
+<p>Generated ${escapeHTML( data.timestamp )}</p>
+<h2>Patches</h2>
+${patches.length ? patches.join( '\n' ) : '<p>None</p>'}
+<h2>Modified branches</h2>
+${rows.length ? `<table>
+<tr><th>Branch</th><th>Brands</th><th>Status</th><th>Deployed version</th><th>Needed patches</th></tr>
+${rows.join( '\n' )}
+</table>` : '<p>None</p>'}
+${branchDetails.join( '\n' )}
+<h2>Unreleased branches needing an issue</h2>
+${list( data.unreleasedBranches.map( unreleasedBranch => escapeHTML( `${unreleasedBranch.repo} ${unreleasedBranch.branch}: ${unreleasedBranch.pushedMessages.join( ', ' )}` ) ) )}
+</body>
+</html>
+`;
+    }
+  }
+
+  // @public {Array.<string>}
+  MaintenanceReport.FORMATS = [ 'markdown', 'html', 'json' ];
+
+  return MaintenanceReport;
+} )();
@@ -0,0 +1,79 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node qunit tests for MaintenanceReport
+ */
+
+/* eslint-env node */
+
+
+const Maintenance = require( './Maintenance' );
+const MaintenanceReport = require( './MaintenanceReport' );
+const qunit = require( 'qunit' );
+
+qunit.module( 'MaintenanceReport' );
+
+const createBranch = ( repo, branch, isReleased, options ) => Object.assign( {
+  releaseBranch: { repo: repo, branch: branch, brands: [ 'phet' ], isReleased: isReleased },
+  changedDependencies: {},
+  neededPatches: [],
+  pendingMessages: [],
+  pushedMessages: [],
+  deployedVersion: null,
+  awaitingResolution: {},
+  qaSignOff: null
+}, options );
+
+const maintenance = Maintenance.deserialize( {
+  patches: [
+    { repo: 'scenery', name: 'scenery', message: 'https://github.com/phetsims/scenery/issues/1', shas: [ 'abc' ], dependsOn: [] },
+    { repo: 'joist', name: 'joist-<2|3>', message: 'fix', shas: [], dependsOn: [ 'scenery' ] }
+  ],
+  modifiedBranches: [
+    createBranch( 'density', '1.4', true, { neededPatches: [ 'joist-<2|3>' ] } ),
+    createBranch( 'bumper', '1.0', true, {
+      pushedMessages: [ 'https://github.com/phetsims/scenery/issues/1' ],
+      deployedVersion: { major: 1, minor: 0, maintenance: 3, testType: 'rc', testNumber: 1 },
+      qaSignOff: { version: '1.0.3-rc.1', approver: 'qa', timestamp: '2026-01-01T00:00:00.000Z', notes: '', linksTested: [] }
+    } ),
+    createBranch( 'gravity', '2.0', false, {
+      pushedMessages: [ 'https://github.com/phetsims/scenery/issues/1' ],
+      pendingMessages: [ 'fix | layout\nwith details' ],
+      changedDependencies: { joist: 'def' }
+    } )
+  ]
+} );
+
+qunit.test( 'data', async assert => {
+  const data = MaintenanceReport.getData( maintenance, 'now' );
+
+  assert.deepEqual( data.patches.map( patch => patch.neededBy ), [ [], [ 'density 1.4' ] ] );
+  assert.deepEqual( data.modifiedBranches.map( modifiedBranch => modifiedBranch.status ), [
+    'release candidate signed off by QA',
+    'needs patches',
+    'patched, dependencies not updated'
+  ] );
+  assert.deepEqual( data.unreleasedBranches, [ {
+    repo: 'gravity',
+    branch: '2.0',
+    pushedMessages: [ 'https://github.com/phetsims/scenery/issues/1' ]
+  } ] );
+  assert.deepEqual( JSON.parse( MaintenanceReport.render( data, 'json' ) ), data, 'json round trip' );
+} );
+
+qunit.test( 'rendering', async assert => {
+  const data = MaintenanceReport.getData( maintenance, 'now' );
+
+  const markdown = MaintenanceReport.render( data, 'markdown' );
+  assert.ok( markdown.includes( '| bumper 1.0 | phet | release candidate signed off by QA | 1.0.3-rc.1 |  |' ), 'branch table' );
+  assert.ok( markdown.includes( '- Changed dependencies:\n  - joist: `def`' ), 'changed dependencies' );
+  assert.ok( markdown.includes( '- gravity 2.0: https://github.com/phetsims/scenery/issues/1' ), 'unreleased branches' );
+  assert.ok( markdown.includes( '| density 1.4 | phet | needs patches |  | joist-<2\\|3> |' ), 'pipes escaped in the branch table' );
+  assert.ok( markdown.includes( '  - fix | layout with details\n' ), 'newlines removed from list items' );
+
+  const html = MaintenanceReport.render( data, 'html' );
+  assert.ok( html.startsWith( '<!DOCTYPE html>' ), 'standalone' );
+  assert.ok( html.includes( 'joist-&lt;2|3&gt;' ) && !html.includes( 'joist-<2|3>' ), 'escaped' );
+
+  assert.throws( () => MaintenanceReport.render( data, 'pdf' ), /Unknown report format/ );
+} );
@@ -0,0 +1,282 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Versioning, migration and validation for the serialized maintenance state (.maintenance.json).
+ *
+ * Whenever the serialized form of Maintenance, Patch, ModifiedBranch, ReleaseBranch or SimVersion changes, bump
+ * SCHEMA_VERSION, add a migration that upgrades the previous version, and update the validation below.
+ */
+
+const _ = require( 'lodash' );
+
+module.exports = ( function() {
+
+  // The current version of the serialized maintenance state. Files without a schemaVersion are version 1.
+  const SCHEMA_VERSION = 5;
+
+  // Each migration upgrades the serialized state from ( version - 1 ) to version, and should not modify its input.
+  const MIGRATIONS = [
+    {
+      version: 2,
+      description: 'adds the schemaVersion, allReleaseBranches (if missing) and modifiedBranches[].awaitingResolution',
+      migrate: data => _.assign( {}, data, {
+        patches: data.patches || [],
+        modifiedBranches: ( data.modifiedBranches || [] ).map( modifiedBranch => _.assign( { awaitingResolution: {} }, modifiedBranch ) ),
+        allReleaseBranches: data.allReleaseBranches || []
+      } )
+    },
+    {
+      version: 3,
+      description: 'adds modifiedBranches[].qaSignOff',
+      migrate: data => _.assign( {}, data, {
+        modifiedBranches: data.modifiedBranches.map( modifiedBranch => _.assign( { qaSignOff: null }, modifiedBranch ) )
+      } )
+    },
+    {
+      version: 4,
+      description: 'adds patches[].dependsOn',
+      migrate: data => _.assign( {}, data, {
+        patches: data.patches.map( patch => _.assign( { dependsOn: [] }, patch ) )
+      } )
+    },
+    {
+      version: 5,
+      description: 'stores modifiedBranches[].awaitingResolution values as { sha, base } (base unknown for older entries)',
+      migrate: data => _.assign( {}, data, {
+        modifiedBranches: data.modifiedBranches.map( modifiedBranch => _.assign( {}, modifiedBranch, {
+          awaitingResolution: _.mapValues( modifiedBranch.awaitingResolution, sha => ( { sha: sha, base: null } ) )
+        } ) )
+      } )
+    }
+  ];
+
+  const isString = value => typeof value === 'string';
+  const isStringArray = value => Array.isArray( value ) && value.every( isString );
+  const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray( value );
+  const isNonNegativeInteger = value => typeof value === 'number' && value >= 0 && value % 1 === 0;
+
+  /**
+   * Adds problems for a serialized ReleaseBranch.
+   *
+   * @param {*} releaseBranch
+   * @param {string} location
+   * @param {Array.<string>} problems
+   */
+  const validateReleaseBranch = ( releaseBranch, location, problems ) => {
+    if ( !isPlainObject( releaseBranch ) ) {
+      problems.push( `${location} should be an object` );
+      return;
+    }
+    !isString( releaseBranch.repo ) && problems.push( `${location}.repo should be a string` );
+    !isString( releaseBranch.branch ) && problems.push( `${location}.branch should be a string` );
+    !isStringArray( releaseBranch.brands ) && problems.push( `${location}.brands should be an array of strings` );
+    typeof releaseBranch.isReleased !== 'boolean' && problems.push( `${location}.isReleased should be a boolean` );
+  };
+
+  /**
+   * Adds problems for a serialized SimVersion.
+   *
+   * @param {*} simVersion
+   * @param {string} location
+   * @param {Array.<string>} problems
+   */
+  const validateSimVersion = ( simVersion, location, problems ) => {
+    if ( !isPlainObject( simVersion ) ) {
+      problems.push( `${location} should be an object or null` );
+      return;
+    }
+    [ 'major', 'minor', 'maintenance' ].forEach( key => {
+      !isNonNegativeInteger( simVersion[ key ] ) && problems.push( `${location}.${key} should be a non-negative integer` );
+    } );
+    simVersion.testType !== null && simVersion.testType !== undefined && !isString( simVersion.testType ) &&
+    problems.push( `${location}.testType should be a string or null` );
+  };
+
+  /**
+   * Adds problems for a serialized QASignOff.
+   *
+   * @param {*} qaSignOff
+   * @param {string} location
+   * @param {Array.<string>} problems
+   */
+  const validateQASignOff = ( qaSignOff, location, problems ) => {
+    if ( !isPlainObject( qaSignOff ) ) {
+      problems.push( `${location} should be an object or null` );
+      return;
+    }
+    [ 'version', 'approver', 'timestamp', 'notes' ].forEach( key => {
+      !isString( qaSignOff[ key ] ) && problems.push( `${location}.${key} should be a string` );
+    } );
+    !isStringArray( qaSignOff.linksTested ) && problems.push( `${location}.linksTested should be an array of strings` );
+  };
+
+  class MaintenanceSchema {
+    /**
+     * Returns the schema version of serialized maintenance state.
+     * @public
+     *
+     * @param {Object} data
+     * @returns {number}
+     */
+    static getVersion( data ) {
+      return data.schemaVersion === undefined ? 1 : data.schemaVersion;
+    }
+
+    /**
+     * Returns a list of problems with the (current version) serialized maintenance state. Empty if it is valid.
+     * @public
+     *
+     * @param {*} data
+     * @returns {Array.<string>}
+     */
+    static validate( data ) {
+      const problems = [];
+
+      if ( !isPlainObject( data ) ) {
+        return [ 'maintenance state should be an object' ];
+      }
+
+      data.schemaVersion !== SCHEMA_VERSION && problems.push( `schemaVersion should be ${SCHEMA_VERSION}` );
+
+      if ( !Array.isArray( data.patches ) ) {
+        problems.push( 'patches should be an array' );
+      }
+      else {
+        data.patches.forEach( ( patch, index ) => {
+          const location = `patches[${index}]`;
+          if ( !isPlainObject( patch ) ) {
+            problems.push( `${location} should be an object` );
+            return;
+          }
+          !isString( patch.repo ) && problems.push( `${location}.repo should be a string` );
+          !isString( patch.name ) && problems.push( `${location}.name should be a string` );
+          !isString( patch.message ) && problems.push( `${location}.message should be a string` );
+          !isStringArray( patch.shas ) && problems.push( `${location}.shas should be an array of strings` );
+          !isStringArray( patch.dependsOn ) && problems.push( `${location}.dependsOn should be an array of patch names` );
+        } );
+
+        const names = data.patches.map( patch => patch && patch.name );
+        _.uniq( names.filter( ( name, index ) => names.indexOf( name ) !== index ) ).forEach( name => {
+          problems.push( `multiple patches are named ${name}` );
+        } );
+
+        data.patches.forEach( ( patch, index ) => {
+          if ( patch && isStringArray( patch.dependsOn ) ) {
+            patch.dependsOn.filter( name => !names.includes( name ) ).forEach( name => {
+              problems.push( `patches[${index}].dependsOn references unknown patch ${name}` );
+            } );
+          }
+        } );
+      }
+
+      const patchNames = Array.isArray( data.patches ) ? data.patches.map( patch => patch && patch.name ) : [];
+
+      if ( !Array.isArray( data.modifiedBranches ) ) {
+        problems.push( 'modifiedBranches should be an array' );
+      }
+      else {
+        data.modifiedBranches.forEach( ( modifiedBranch, index ) => {
+          const location = `modifiedBranches[${index}]`;
+          if ( !isPlainObject( modifiedBranch ) ) {
+            problems.push( `${location} should be an object` );
+            return;
+          }
+          validateReleaseBranch( modifiedBranch.releaseBranch, `${location}.releaseBranch`, problems );
+
+          if ( !isPlainObject( modifiedBranch.changedDependencies ) || !_.every( modifiedBranch.changedDependencies, isString ) ) {
+            problems.push( `${location}.changedDependencies should be an object with SHA values` );
+          }
+          if ( !isStringArray( modifiedBranch.neededPatches ) ) {
+            problems.push( `${location}.neededPatches should be an array of patch names` );
+          }
+          else {
+            modifiedBranch.neededPatches.filter( name => !patchNames.includes( name ) ).forEach( name => {
+              problems.push( `${location}.neededPatches references unknown patch ${name}` );
+            } );
+          }
+          !isStringArray( modifiedBranch.pendingMessages ) && problems.push( `${location}.pendingMessages should be an array of strings` );
+          !isStringArray( modifiedBranch.pushedMessages ) && problems.push( `${location}.pushedMessages should be an array of strings` );
+          if ( modifiedBranch.deployedVersion !== null ) {
+            validateSimVersion( modifiedBranch.deployedVersion, `${location}.deployedVersion`, problems );
+          }
+          if ( !isPlainObject( modifiedBranch.awaitingResolution ) ) {
+            problems.push( `${location}.awaitingResolution should be an object` );
+          }
+          else {
+            Object.keys( modifiedBranch.awaitingResolution ).forEach( name => {
+              const resolution = modifiedBranch.awaitingResolution[ name ];
+              if ( !isPlainObject( resolution ) || !isString( resolution.sha ) || ( resolution.base !== null && !isString( resolution.base ) ) ) {
+                problems.push( `${location}.awaitingResolution.${name} should be an object with a string sha and a string (or null) base` );
+              }
+            } );
+          }
+          if ( modifiedBranch.qaSignOff !== null ) {
+            validateQASignOff( modifiedBranch.qaSignOff, `${location}.qaSignOff`, problems );
+          }
+        } );
+      }
+
+      if ( !Array.isArray( data.allReleaseBranches ) ) {
+        problems.push( 'allReleaseBranches should be an array' );
+      }
+      else {
+        data.allReleaseBranches.forEach( ( releaseBranch, index ) => {
+          validateReleaseBranch( releaseBranch, `allReleaseBranches[${index}]`, problems );
+        } );
+      }
+
+      return problems;
+    }
+
+    /**
+     * Upgrades serialized maintenance state (of any supported version) to the current version, and validates it.
+     * @public
+     *
+     * @param {Object} data
+     * @returns {Object} - The upgraded (and valid) serialized state
+     * @throws {Error} - with a report of all problems, if the state is malformed or newer than supported
+     */
+    static upgrade( data ) {
+      if ( !isPlainObject( data ) ) {
+        throw new Error( 'Invalid maintenance state: it should be an object' );
+      }
+
+      const version = MaintenanceSchema.getVersion( data );
+
+      if ( !isNonNegativeInteger( version ) ) {
+        throw new Error( `Invalid maintenance state: unrecognized schemaVersion ${JSON.stringify( version )}` );
+      }
+      if ( version > SCHEMA_VERSION ) {
+        throw new Error( `Maintenance state has schemaVersion ${version}, but this perennial only supports up to ${SCHEMA_VERSION}. Please update perennial.` );
+      }
+
+      let upgraded = data;
+      for ( const migration of MIGRATIONS.filter( migration => migration.version > version ) ) {
+        upgraded = _.assign( migration.migrate( upgraded ), { schemaVersion: migration.version } );
+      }
+
+      const problems = MaintenanceSchema.validate( upgraded );
+      if ( problems.length ) {
+        throw new Error( `Invalid maintenance state (schemaVersion ${version}):\n${problems.map( problem => `  - ${problem}` ).join( '\n' )}` );
+      }
+
+      return upgraded;
+    }
+
+    /**
+     * Returns descriptions of the migrations that would be applied to upgrade from the given version.
+     * @public
+     *
+     * @param {number} version
+     * @returns {Array.<string>}
+     */
+    static getMigrationDescriptions( version ) {
+      return MIGRATIONS.filter( migration => migration.version > version ).map( migration => `v${migration.version}: ${migration.description}` );
+    }
+  }
+
+  // @public {number}
+  MaintenanceSchema.SCHEMA_VERSION = SCHEMA_VERSION;
+
+  return MaintenanceSchema;
+} )();
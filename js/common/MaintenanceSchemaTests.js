@@ -0,0 +1,61 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node qunit tests for MaintenanceSchema
+ */
+
+/* eslint-env node */
+
+
+const MaintenanceSchema = require( './MaintenanceSchema' );
+const qunit = require( 'qunit' );
+
+qunit.module( 'MaintenanceSchema' );
+
+const createVersion1 = () => ( {
+  patches: [ { repo: 'scenery', name: 'scenery', message: 'fix', shas: [ 'abc' ] } ],
+  modifiedBranches: [ {
+    releaseBranch: { repo: 'sim', branch: '1.0', brands: [ 'phet' ], isReleased: true },
+    changedDependencies: {},
+    neededPatches: [ 'scenery' ],
+    pendingMessages: [],
+    pushedMessages: [],
+    deployedVersion: null
+  } ]
+} );
+
+qunit.test( 'upgrade', async assert => {
+  const version1 = createVersion1();
+  const upgraded = MaintenanceSchema.upgrade( version1 );
+
+  assert.equal( MaintenanceSchema.getVersion( version1 ), 1, 'Missing schemaVersion is version 1' );
+  assert.equal( upgraded.schemaVersion, MaintenanceSchema.SCHEMA_VERSION, 'Upgraded to the current version' );
+  assert.deepEqual( upgraded.modifiedBranches[ 0 ].awaitingResolution, {}, 'awaitingResolution added' );
+  assert.equal( upgraded.modifiedBranches[ 0 ].qaSignOff, null, 'qaSignOff added' );
+  assert.deepEqual( upgraded.allReleaseBranches, [], 'allReleaseBranches added' );
+  assert.deepEqual( version1, createVersion1(), 'Input not modified' );
+  assert.deepEqual( MaintenanceSchema.upgrade( upgraded ), upgraded, 'Current version unchanged' );
+
+  const version4 = JSON.parse( JSON.stringify( upgraded ) );
+  version4.schemaVersion = 4;
+  version4.modifiedBranches[ 0 ].awaitingResolution = { scenery: 'abc' };
+  assert.deepEqual( MaintenanceSchema.upgrade( version4 ).modifiedBranches[ 0 ].awaitingResolution, {
+    scenery: { sha: 'abc', base: null }
+  }, 'awaitingResolution SHAs upgraded, with an unknown base' );
+} );
+
+qunit.test( 'rejection', async assert => {
+  assert.throws( () => MaintenanceSchema.upgrade( { schemaVersion: MaintenanceSchema.SCHEMA_VERSION + 1 } ), /update perennial/, 'Newer version' );
+
+  const malformed = createVersion1();
+  malformed.patches[ 0 ].shas = 'abc';
+  malformed.modifiedBranches[ 0 ].neededPatches = [ 'scenery', 'missing' ];
+  malformed.modifiedBranches[ 0 ].awaitingResolution = { scenery: { sha: 'abc' } };
+
+  const problems = MaintenanceSchema.validate( MaintenanceSchema.upgrade( createVersion1() ) );
+  assert.deepEqual( problems, [], 'Valid state has no problems' );
+  assert.throws( () => MaintenanceSchema.upgrade( malformed ), error => {
+    return error.message.includes( 'patches[0].shas' ) && error.message.includes( 'unknown patch missing' ) &&
+           error.message.includes( 'awaitingResolution.scenery' );
+  }, 'All problems reported' );
+} );
@@ -0,0 +1,54 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node qunit tests for Maintenance
+ */
+
+/* eslint-env node */
+
+
+const Maintenance = require( './Maintenance' );
+const qunit = require( 'qunit' );
+
+qunit.module( 'Maintenance' );
+
+qunit.test( 'applyPatches dry run with an already-included prerequisite', async assert => {
+  const maintenance = Maintenance.deserialize( {
+    patches: [
+      { repo: 'scenery', name: 'scenery-1', message: 'fix', shas: [ 'abc' ], dependsOn: [] },
+      { repo: 'scenery', name: 'scenery-2', message: 'fix', shas: [ 'def' ], dependsOn: [ 'scenery-1' ] }
+    ],
+    modifiedBranches: [ {
+      releaseBranch: { repo: 'density', branch: '1.4', brands: [ 'phet' ], isReleased: true },
+      changedDependencies: { scenery: '123' },
+      neededPatches: [ 'scenery-1', 'scenery-2' ],
+      pendingMessages: [],
+      pushedMessages: [],
+      deployedVersion: null,
+      awaitingResolution: {},
+      qaSignOff: null
+    } ]
+  } );
+
+  const load = Maintenance.load;
+  const getIncludedPatchSHA = Maintenance.getIncludedPatchSHA;
+  const log = console.log;
+  const messages = [];
+  Maintenance.load = () => maintenance;
+  Maintenance.getIncludedPatchSHA = async ( releaseBranch, patch ) => patch.name === 'scenery-1' ? 'abc' : null;
+  console.log = message => messages.push( message );
+
+  try {
+    await Maintenance.applyPatches( { dryRun: true } );
+  }
+  finally {
+    Maintenance.load = load;
+    Maintenance.getIncludedPatchSHA = getIncludedPatchSHA;
+    console.log = log;
+  }
+
+  assert.ok( messages.some( message => message.includes( 'remove needed patch scenery-1' ) ), 'Prerequisite would be removed' );
+  assert.ok( messages.some( message => message.includes( 'cherry-pick the first of [def]' ) ), 'Dependent would be applied' );
+  assert.notOk( messages.some( message => message.includes( 'Skipping scenery-2' ) ), 'Dependent not skipped' );
+  assert.deepEqual( maintenance.modifiedBranches[ 0 ].neededPatches.map( patch => patch.name ), [ 'scenery-1', 'scenery-2' ], 'Nothing modified' );
+} );
\ No newline at end of file
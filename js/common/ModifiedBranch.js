@@ -7,6 +7,7 @@
  */
 
 const Patch = require( './Patch' );
+const QASignOff = require( './QASignOff' );
 const ReleaseBranch = require( './ReleaseBranch' );
 const SimVersion = require( './SimVersion' );
 const checkoutDependencies = require( './checkoutDependencies' );
@@ -29,8 +30,10 @@ module.exports = ( function() {
      * @param {Array.<string>} [pendingMessages]
      * @param {Array.<string>} [pushedMessages]
      * @param {SimVersion|null} [deployedVersion]
+     * @param {Object} [awaitingResolution]
+     * @param {QASignOff|null} [qaSignOff]
      */
-    constructor( releaseBranch, changedDependencies = {}, neededPatches = [], pendingMessages = [], pushedMessages = [], deployedVersion = null ) {
+    constructor( releaseBranch, changedDependencies = {}, neededPatches = [], pendingMessages = [], pushedMessages = [], deployedVersion = null, awaitingResolution = {}, qaSignOff = null ) {
       assert( releaseBranch instanceof ReleaseBranch );
       assert( typeof changedDependencies === 'object' );
       assert( Array.isArray( neededPatches ) );
@@ -38,6 +41,8 @@ module.exports = ( function() {
       assert( Array.isArray( pushedMessages ) );
       pushedMessages.forEach( message => assert( typeof message === 'string' ) );
       assert( deployedVersion === null || deployedVersion instanceof SimVersion );
+      assert( typeof awaitingResolution === 'object' );
+      assert( qaSignOff === null || qaSignOff instanceof QASignOff );
 
       // @public {ReleaseBranch}
       this.releaseBranch = releaseBranch;
@@ -64,6 +69,14 @@ module.exports = ( function() {
       // @public {SimVersion|null} - The deployed version for the latest patches applied. Will be reset to null when
       // updates are made.
       this.deployedVersion = deployedVersion;
+
+      // @public {Object} - Keys are names of (still needed) patches whose cherry-pick conflicted and was left in place
+      // for manual resolution, values are { sha, base }: the SHA that was being cherry-picked, and the SHA it was
+      // cherry-picked onto (null if recorded by an older perennial). See Maintenance.continuePatch().
+      this.awaitingResolution = awaitingResolution;
+
+      // @public {QASignOff|null} - QA's approval of the deployed release candidate, see Maintenance.signOff()
+      this.qaSignOff = qaSignOff;
     }
 
     /**
@@ -79,7 +92,9 @@ module.exports = ( function() {
         neededPatches: this.neededPatches.map( patch => patch.name ),
         pendingMessages: this.pendingMessages,
         pushedMessages: this.pushedMessages,
-        deployedVersion: this.deployedVersion ? this.deployedVersion.serialize() : null
+        deployedVersion: this.deployedVersion ? this.deployedVersion.serialize() : null,
+        awaitingResolution: this.awaitingResolution,
+        qaSignOff: this.qaSignOff ? this.qaSignOff.serialize() : null
       };
     }
 
@@ -91,14 +106,16 @@ module.exports = ( function() {
      * @param {Array.<Patch>} - We only want to store patches in one location, so don't fully save the info.
      * @returns {ModifiedBranch}
      */
-    static deserialize( { releaseBranch, changedDependencies, neededPatches, pendingMessages, pushedMessages, deployedVersion }, patches ) {
+    static deserialize( { releaseBranch, changedDependencies, neededPatches, pendingMessages, pushedMessages, deployedVersion, awaitingResolution = {}, qaSignOff = null }, patches ) {
       return new ModifiedBranch(
         ReleaseBranch.deserialize( releaseBranch ),
         changedDependencies,
         neededPatches.map( name => patches.find( patch => patch.name === name ) ),
         pendingMessages,
         pushedMessages,
-        deployedVersion ? SimVersion.deserialize( deployedVersion ) : null
+        deployedVersion ? SimVersion.deserialize( deployedVersion ) : null,
+        awaitingResolution,
+        qaSignOff ? QASignOff.deserialize( qaSignOff ) : null
       );
     }
 
@@ -112,7 +129,8 @@ module.exports = ( function() {
       return this.neededPatches.length === 0 &&
              Object.keys( this.changedDependencies ).length === 0 &&
              this.pushedMessages.length === 0 &&
-             this.pendingMessages.length === 0;
+             this.pendingMessages.length === 0 &&
+             Object.keys( this.awaitingResolution ).length === 0;
     }
 
     /**
@@ -140,6 +158,18 @@ module.exports = ( function() {
              this.deployedVersion.testType === 'rc';
     }
 
+    /**
+     * Whether QA has signed off on the currently deployed release candidate.
+     * @public
+     *
+     * @returns {boolean}
+     */
+    get isSignedOff() {
+      return this.qaSignOff !== null &&
+             this.deployedVersion !== null &&
+             this.qaSignOff.version === this.deployedVersion.toString();
+    }
+
     /**
      * Returns the branch name that should be used in dependency repositories.
      * @public
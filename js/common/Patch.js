@@ -19,13 +19,16 @@ module.exports = ( function() {
      * @param {string} name
      * @param {string} message - Usually an issue URL, but can include other things
      * @param {Array.<string>} shas - SHAs used to cherry-pick
+     * @param {Array.<string>} dependsOn - Names of patches that need to be applied before this one
      */
-    constructor( repo, name, message, shas = [] ) {
+    constructor( repo, name, message, shas = [], dependsOn = [] ) {
       assert( typeof repo === 'string' );
       assert( typeof name === 'string' );
       assert( typeof message === 'string' );
       assert( Array.isArray( shas ) );
       shas.forEach( sha => assert( typeof sha === 'string' ) );
+      assert( Array.isArray( dependsOn ) );
+      dependsOn.forEach( patchName => assert( typeof patchName === 'string' ) );
 
       // @public {string}
       this.repo = repo;
@@ -34,6 +37,7 @@ module.exports = ( function() {
 
       // @public {Array.<string>}
       this.shas = shas;
+      this.dependsOn = dependsOn;
     }
 
     /**
@@ -47,7 +51,8 @@ module.exports = ( function() {
         repo: this.repo,
         name: this.name,
         message: this.message,
-        shas: this.shas
+        shas: this.shas,
+        dependsOn: this.dependsOn
       };
     }
 
@@ -58,8 +63,56 @@ module.exports = ( function() {
      * @param {Object}
      * @returns {Patch}
      */
-    static deserialize( { repo, name, message, shas } ) {
-      return new Patch( repo, name, message, shas );
+    static deserialize( { repo, name, message, shas, dependsOn = [] } ) {
+      return new Patch( repo, name, message, shas, dependsOn );
+    }
+
+    /**
+     * Creates one patch per commit (in order), each depending on the previous one, for a fix that spans multiple commits.
+     * Since a patch's SHAs are alternatives (only the first that applies is cherry-picked), the commits can't share one
+     * patch. A single commit results in a single patch with the given name, otherwise the patches are named
+     * {{NAME}}-1, {{NAME}}-2, etc.
+     * @public
+     *
+     * @param {string} repo
+     * @param {string} name
+     * @param {string} message
+     * @param {Array.<string>} shas - In commit order (oldest first)
+     * @returns {Array.<Patch>}
+     */
+    static createSequence( repo, name, message, shas ) {
+      const names = shas.length === 1 ? [ name ] : shas.map( ( sha, index ) => `${name}-${index + 1}` );
+
+      return shas.map( ( sha, index ) => new Patch( repo, names[ index ], message, [ sha ], index > 0 ? [ names[ index - 1 ] ] : [] ) );
+    }
+
+    /**
+     * Returns the patches sorted so that each comes after the patches it depends on (otherwise keeping their order).
+     * Dependencies on patches that aren't in the list are ignored.
+     * @public
+     *
+     * @param {Array.<Patch>} patches
+     * @returns {Array.<Patch>}
+     * @throws {Error} - if there is a dependency cycle
+     */
+    static sortByDependencies( patches ) {
+      const names = patches.map( patch => patch.name );
+      const sorted = [];
+      let remaining = patches.slice();
+
+      while ( remaining.length ) {
+        const ready = remaining.filter( patch => patch.dependsOn.every( name => !names.includes( name ) || sorted.some( sortedPatch => sortedPatch.name === name ) ) );
+
+        if ( ready.length === 0 ) {
+          throw new Error( `Patch dependency cycle between: ${remaining.map( patch => patch.name ).join( ', ' )}` );
+        }
+
+        // Only take the first, so that patches stay in order unless they need to move
+        sorted.push( ready[ 0 ] );
+        remaining = remaining.filter( patch => patch !== ready[ 0 ] );
+      }
+
+      return sorted;
     }
   }
 
@@ -0,0 +1,41 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node qunit tests for Patch
+ */
+
+/* eslint-env node */
+
+
+const Patch = require( './Patch' );
+const qunit = require( 'qunit' );
+
+qunit.module( 'Patch' );
+
+qunit.test( 'sortByDependencies', async assert => {
+  const names = patches => patches.map( patch => patch.name );
+
+  const sun = new Patch( 'sun', 'sun', 'fix', [], [ 'scenery' ] );
+  const scenery = new Patch( 'scenery', 'scenery', 'fix' );
+  const joist = new Patch( 'joist', 'joist', 'fix' );
+  const sim = new Patch( 'density', 'density', 'fix', [], [ 'sun', 'joist' ] );
+
+  assert.deepEqual( names( Patch.sortByDependencies( [ joist, scenery ] ) ), [ 'joist', 'scenery' ], 'Order kept without dependencies' );
+  assert.deepEqual( names( Patch.sortByDependencies( [ sim, sun, joist, scenery ] ) ), [ 'joist', 'scenery', 'sun', 'density' ], 'Dependencies first' );
+  assert.deepEqual( names( Patch.sortByDependencies( [ sun, joist ] ) ), [ 'sun', 'joist' ], 'Dependencies not in the list are ignored' );
+
+  const cyclic = new Patch( 'scenery', 'scenery', 'fix', [], [ 'sun' ] );
+  assert.throws( () => Patch.sortByDependencies( [ sun, cyclic ] ), /cycle/, 'Cycles' );
+} );
+
+qunit.test( 'createSequence', async assert => {
+  const [ single ] = Patch.createSequence( 'scenery', 'scenery', 'fix', [ 'abc' ] );
+  assert.deepEqual( single.serialize(), { repo: 'scenery', name: 'scenery', message: 'fix', shas: [ 'abc' ], dependsOn: [] }, 'A single commit keeps the name' );
+
+  const patches = Patch.createSequence( 'scenery', 'scenery-837', 'fix', [ 'abc', 'def' ] );
+  assert.deepEqual( patches.map( patch => patch.serialize() ), [
+    { repo: 'scenery', name: 'scenery-837-1', message: 'fix', shas: [ 'abc' ], dependsOn: [] },
+    { repo: 'scenery', name: 'scenery-837-2', message: 'fix', shas: [ 'def' ], dependsOn: [ 'scenery-837-1' ] }
+  ], 'One patch per commit, each depending on the previous one' );
+  assert.deepEqual( Patch.sortByDependencies( patches.slice().reverse() ).map( patch => patch.name ), [ 'scenery-837-1', 'scenery-837-2' ], 'Applied in commit order' );
+} );
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Represents QA's approval of a deployed release candidate of a ModifiedBranch, which is required (by default) before
+ * Maintenance.deployProduction will deploy it. See Maintenance.signOff().
+ */
+
+const assert = require( 'assert' );
+
+module.exports = ( function() {
+
+  class QASignOff {
+    /**
+     * @public
+     * @constructor
+     *
+     * @param {string} version - The release candidate version that was tested, e.g. '1.2.3-rc.1'
+     * @param {string} approver - Who approved it
+     * @param {string} timestamp - ISO 8601 date of the approval
+     * @param {string} [notes]
+     * @param {Array.<string>} [linksTested] - The deployed links (see ModifiedBranch.getDeployedLinkLines) that were tested
+     */
+    constructor( version, approver, timestamp, notes = '', linksTested = [] ) {
+      assert( typeof version === 'string' );
+      assert( typeof approver === 'string' );
+      assert( typeof timestamp === 'string' );
+      assert( typeof notes === 'string' );
+      assert( Array.isArray( linksTested ) );
+      linksTested.forEach( link => assert( typeof link === 'string' ) );
+
+      // @public {string}
+      this.version = version;
+      this.approver = approver;
+      this.timestamp = timestamp;
+      this.notes = notes;
+
+      // @public {Array.<string>}
+      this.linksTested = linksTested;
+    }
+
+    /**
+     * Convert into a plain JS object meant for JSON serialization.
+     * @public
+     *
+     * @returns {Object}
+     */
+    serialize() {
+      return {
+        version: this.version,
+        approver: this.approver,
+        timestamp: this.timestamp,
+        notes: this.notes,
+        linksTested: this.linksTested
+      };
+    }
+
+    /**
+     * Takes a serialized form of the QASignOff and returns an actual instance.
+     * @public
+     *
+     * @param {Object}
+     * @returns {QASignOff}
+     */
+    static deserialize( { version, approver, timestamp, notes, linksTested } ) {
+      return new QASignOff( version, approver, timestamp, notes, linksTested );
+    }
+
+    /**
+     * Returns a short description, e.g. for Maintenance.list().
+     * @public
+     *
+     * @returns {string}
+     */
+    toString() {
+      return `QA signed off ${this.version} (${this.approver}, ${this.timestamp})${this.notes ? `: ${this.notes}` : ''}`;
+    }
+  }
+
+  return QASignOff;
+} )();
@@ -35,6 +35,7 @@ const gruntCommand = require( './gruntCommand' );
 const loadJSON = require( './loadJSON' );
 const npmUpdateDirectory = require( './npmUpdateDirectory' );
 const puppeteerLoad = require( './puppeteerLoad' );
+const ReleaseBranchHealthRule = require( './ReleaseBranchHealthRule' );
 const simMetadata = require( './simMetadata' );
 const simPhetioMetadata = require( './simPhetioMetadata' );
 const withServer = require( './withServer' );
@@ -47,6 +48,9 @@ module.exports = ( function() {
 
   const MAINTENANCE_DIRECTORY = '../release-branches';
 
+  // Results of capability probes (and the dependencies.json they are based on), keyed by `${repo} ${branch} ${sha}`
+  const probeCache = {};
+
   class ReleaseBranch {
     /**
      * @public
@@ -250,6 +254,8 @@ module.exports = ( function() {
      * @public
      *
      * @param {Object} [options] - optional parameters for getBuildArguments
+     * @returns {Promise.<string>} - The build output
+     * @rejects {ExecuteError}
      */
     async build( options ) {
       const checkoutDirectory = ReleaseBranch.getCheckoutDirectory( this.repo, this.branch );
@@ -263,7 +269,7 @@ module.exports = ( function() {
       }, options ) );
 
       winston.info( `building ${checkoutDirectory} with grunt ${args.join( ' ' )}` );
-      await execute( gruntCommand, args, repoDirectory );
+      return execute( gruntCommand, args, repoDirectory );
     }
 
     /**
@@ -357,17 +363,13 @@ module.exports = ( function() {
     async includesSHA( repo, sha ) {
       let result = false;
 
-      await gitCheckout( this.repo, this.branch );
-
-      const dependencies = await getDependencies( this.repo );
+      const dependencies = await this.getDependencies();
 
       if ( dependencies[ repo ] ) {
         const currentSHA = dependencies[ repo ].sha;
         result = sha === currentSHA || await gitIsAncestor( repo, sha, currentSHA );
       }
 
-      await gitCheckout( this.repo, 'main' );
-
       return result;
     }
 
@@ -383,17 +385,13 @@ module.exports = ( function() {
     async isMissingSHA( repo, sha ) {
       let result = false;
 
-      await gitCheckout( this.repo, this.branch );
-
-      const dependencies = await getDependencies( this.repo );
+      const dependencies = await this.getDependencies();
 
       if ( dependencies[ repo ] ) {
         const currentSHA = dependencies[ repo ].sha;
         result = sha !== currentSHA && !( await gitIsAncestor( repo, sha, currentSHA ) );
       }
 
-      await gitCheckout( this.repo, 'main' );
-
       return result;
     }
 
@@ -442,52 +440,111 @@ module.exports = ( function() {
     }
 
     /**
-     * Returns a list of status messages of anything out-of-the-ordinary
+     * Returns the results of running health rules (see ReleaseBranchHealthRule) on this release branch, one for each
+     * problem found.
      * @public
      *
-     * @returns {Promise.<Array.<string>>}
+     * @param {Object} [options]
+     * @returns {Promise.<Array.<{rule:string, severity:string, message:string}>>}
      */
-    async getStatus( getBranchMapAsyncCallback = getBranchMap ) {
-      const results = [];
+    async getHealthResults( options ) {
+      options = _.assign( {
+        // {Array.<ReleaseBranchHealthRule>} - Defaults to the rules enabled in build-local.json
+        rules: null,
 
-      const dependencies = await this.getDependencies();
-      const dependencyNames = Object.keys( dependencies ).filter( key => {
-        return key !== 'comment' && key !== this.repo && key !== 'phet-io-wrapper-sonification';
-      } );
+        // {function(string):Promise.<Object>} - Returns branch name => SHA for a repo, can be provided for caching
+        getBranchMap: getBranchMap,
+
+        // {function():Promise.<Object>} - Returns the phet production metadata, can be provided for caching
+        getSimMetadata: () => simMetadata( { type: 'html' } )
+      }, options );
 
-      // Check our own dependency
-      if ( dependencies[ this.repo ] ) {
+      const rules = options.rules || ReleaseBranchHealthRule.getEnabledRules( buildLocal.releaseBranchHealthRules );
+      const context = {
+        dependencies: await this.getDependencies(),
+        getBranchMap: options.getBranchMap,
+        getSimMetadata: options.getSimMetadata
+      };
+
+      const results = [];
+      for ( const rule of rules ) {
         try {
-          const currentCommit = await gitRevParse( this.repo, this.branch );
-          const previousCommit = await gitRevParse( this.repo, `${currentCommit}^` );
-          if ( dependencies[ this.repo ].sha !== previousCommit ) {
-            results.push( '[INFO] Potential changes (dependency is not previous commit)' );
-            results.push( `[INFO] ${currentCommit} ${previousCommit} ${dependencies[ this.repo ].sha}` );
-          }
-          if ( ( await this.getSimVersion() ).testType === 'rc' && this.isReleased ) {
-            results.push( '[INFO] Release candidate version detected (see if there is a QA issue)' );
+          for ( const message of await rule.check( this, context ) ) {
+            results.push( { rule: rule.name, severity: rule.severity, message: message } );
           }
         }
         catch( e ) {
-          results.push( `[ERROR] Failure to check current/previous commit: ${e.message}` );
+          results.push( { rule: rule.name, severity: 'error', message: `Failure to run ${rule.name}: ${e.message}` } );
         }
       }
-      else {
-        results.push( '[WARNING] Own repository not included in dependencies' );
+
+      return results;
+    }
+
+    /**
+     * Returns a list of status messages of anything out-of-the-ordinary (see getHealthResults)
+     * @public
+     *
+     * @param {function(string):Promise.<Object>} [getBranchMapAsyncCallback]
+     * @returns {Promise.<Array.<string>>}
+     */
+    async getStatus( getBranchMapAsyncCallback = getBranchMap ) {
+      const results = await this.getHealthResults( {
+        getBranchMap: getBranchMapAsyncCallback
+      } );
+
+      return results.map( result => `[${result.severity.toUpperCase()}] ${result.message}` );
+    }
+
+    /**
+     * Returns the SHA of the tip of this release branch. If there is no local branch, the remote-tracking branch is
+     * fetched and used instead, so that nothing is checked out.
+     * @public
+     *
+     * @returns {Promise.<string>}
+     */
+    async getBranchSHA() {
+      try {
+        return await gitRevParse( this.repo, this.branch );
+      }
+      catch( e ) {
+        await execute( 'git', [ 'fetch', 'origin', this.branch ], `../${this.repo}` );
+        return gitRevParse( this.repo, `origin/${this.branch}` );
       }
+    }
+
+    /**
+     * Returns the result of a capability probe for this release branch, reading from git objects (without changing
+     * any checkouts). Results are cached per SHA of the branch, so new commits on the branch are probed again.
+     * @private
+     *
+     * @param {string} capability - Name of the probe, used for caching
+     * @param {function(Object):Promise.<boolean>} probe - Called with the dependencies.json of the branch
+     * @returns {Promise.<boolean>}
+     */
+    async getCapability( capability, probe ) {
+      const sha = await this.getBranchSHA();
+      const key = `${this.repo} ${this.branch} ${sha}`;
 
-      for ( const dependency of dependencyNames ) {
-        const potentialReleaseBranch = `${this.repo}-${this.branch}`;
-        const branchMap = await getBranchMapAsyncCallback( dependency );
+      if ( !probeCache[ key ] ) {
+        const dependencies = getBranchDependencies( this.repo, sha );
+        probeCache[ key ] = { dependencies: dependencies };
 
-        if ( Object.keys( branchMap ).includes( potentialReleaseBranch ) ) {
-          if ( dependencies[ dependency ].sha !== branchMap[ potentialReleaseBranch ] ) {
-            results.push( `[WARNING] Dependency mismatch for ${dependency} on branch ${potentialReleaseBranch}` );
-          }
-        }
+        // Don't cache failures
+        dependencies.catch( () => {
+          delete probeCache[ key ];
+        } );
       }
+      const cache = probeCache[ key ];
 
-      return results;
+      if ( !cache[ capability ] ) {
+        cache[ capability ] = cache.dependencies.then( probe );
+        cache[ capability ].catch( () => {
+          delete cache[ capability ];
+        } );
+      }
+
+      return cache[ capability ];
     }
 
     /**
@@ -497,12 +554,9 @@ module.exports = ( function() {
      * @returns {Promise<boolean>}
      */
     async usesES6() {
-      await gitCheckout( this.repo, this.branch );
-      const dependencies = await getDependencies( this.repo );
-      const sha = dependencies.chipper.sha;
-      await gitCheckout( this.repo, 'main' );
-
-      return gitIsAncestor( 'chipper', '80b4ad62cd8f2057b844f18d3c00cf5c0c89ed8d', sha );
+      return this.getCapability( 'usesES6', dependencies => {
+        return gitIsAncestor( 'chipper', '80b4ad62cd8f2057b844f18d3c00cf5c0c89ed8d', dependencies.chipper.sha );
+      } );
     }
 
     /**
@@ -520,12 +574,9 @@ module.exports = ( function() {
      * @returns {Promise<boolean>}
      */
     async usesInitializeGlobalsQueryParameters() {
-      await gitCheckout( this.repo, this.branch );
-      const dependencies = await getDependencies( this.repo );
-      const sha = dependencies.chipper.sha;
-      await gitCheckout( this.repo, 'main' );
-
-      return gitIsAncestor( 'chipper', 'e454f88ff51d1e3fabdb3a076d7407a2a9e9133c', sha );
+      return this.getCapability( 'usesInitializeGlobalsQueryParameters', dependencies => {
+        return gitIsAncestor( 'chipper', 'e454f88ff51d1e3fabdb3a076d7407a2a9e9133c', dependencies.chipper.sha );
+      } );
     }
 
     /**
@@ -537,12 +588,9 @@ module.exports = ( function() {
      * @returns {Promise.<boolean>}
      */
     async usesOldPhetioStandalone() {
-      await gitCheckout( this.repo, this.branch );
-      const dependencies = await getDependencies( this.repo );
-      const sha = dependencies.chipper.sha;
-      await gitCheckout( this.repo, 'main' );
-
-      return !( await gitIsAncestor( 'chipper', '4814d6966c54f250b1c0f3909b71f2b9cfcc7665', sha ) );
+      return this.getCapability( 'usesOldPhetioStandalone', async dependencies => {
+        return !( await gitIsAncestor( 'chipper', '4814d6966c54f250b1c0f3909b71f2b9cfcc7665', dependencies.chipper.sha ) );
+      } );
     }
 
     /**
@@ -553,17 +601,13 @@ module.exports = ( function() {
      * @returns {Promise.<boolean>}
      */
     async usesRelativeSimPath() {
-      await gitCheckout( this.repo, this.branch );
-      const dependencies = await getDependencies( this.repo );
-
-      if ( !dependencies[ 'phet-io' ] ) {
-        return true; // Doesn't really matter now, does it?
-      }
-
-      const sha = dependencies[ 'phet-io' ].sha;
-      await gitCheckout( this.repo, 'main' );
+      return this.getCapability( 'usesRelativeSimPath', async dependencies => {
+        if ( !dependencies[ 'phet-io' ] ) {
+          return true; // Doesn't really matter now, does it?
+        }
 
-      return gitIsAncestor( 'phet-io', 'e3fc26079358d86074358a6db3ebaf1af9725632', sha );
+        return gitIsAncestor( 'phet-io', 'e3fc26079358d86074358a6db3ebaf1af9725632', dependencies[ 'phet-io' ].sha );
+      } );
     }
 
     /**
@@ -573,13 +617,9 @@ module.exports = ( function() {
      * @returns {Promise.<boolean>}
      */
     async usesPhetioStudio() {
-      await gitCheckout( this.repo, this.branch );
-      const dependencies = await getDependencies( this.repo );
-
-      const sha = dependencies.chipper.sha;
-      await gitCheckout( this.repo, 'main' );
-
-      return gitIsAncestor( 'chipper', '7375f6a57b5874b6bbf97a54c9a908f19f88d38f', sha );
+      return this.getCapability( 'usesPhetioStudio', dependencies => {
+        return gitIsAncestor( 'chipper', '7375f6a57b5874b6bbf97a54c9a908f19f88d38f', dependencies.chipper.sha );
+      } );
     }
 
     /**
@@ -589,18 +629,14 @@ module.exports = ( function() {
      * @returns {Promise.<boolean>}
      */
     async usesPhetioStudioIndex() {
-      await gitCheckout( this.repo, this.branch );
-      const dependencies = await getDependencies( this.repo );
-
-      const dependency = dependencies[ 'phet-io-wrappers' ];
-      if ( !dependency ) {
-        return false;
-      }
-
-      const sha = dependency.sha;
-      await gitCheckout( this.repo, 'main' );
+      return this.getCapability( 'usesPhetioStudioIndex', async dependencies => {
+        const dependency = dependencies[ 'phet-io-wrappers' ];
+        if ( !dependency ) {
+          return false;
+        }
 
-      return gitIsAncestor( 'phet-io-wrappers', '7ec1a04a70fb9707b381b8bcab3ad070815ef7fe', sha );
+        return gitIsAncestor( 'phet-io-wrappers', '7ec1a04a70fb9707b381b8bcab3ad070815ef7fe', dependency.sha );
+      } );
     }
 
     /**
@@ -610,18 +646,13 @@ module.exports = ( function() {
      * @returns {Promise.<boolean>}
      */
     async usesChipper2() {
-      await gitCheckout( this.repo, this.branch );
-      const dependencies = await getDependencies( this.repo );
-      await gitCheckout( 'chipper', dependencies.chipper.sha );
+      return this.getCapability( 'usesChipper2', async dependencies => {
+        const chipperVersion = ChipperVersion.getFromPackageJSON(
+          JSON.parse( await getFileAtBranch( 'chipper', dependencies.chipper.sha, 'package.json' ) )
+        );
 
-      const chipperVersion = ChipperVersion.getFromRepository();
-
-      const result = chipperVersion.major !== 0 || chipperVersion.minor !== 0;
-
-      await gitCheckout( this.repo, 'main' );
-      await gitCheckout( 'chipper', 'main' );
-
-      return result;
+        return chipperVersion.major !== 0 || chipperVersion.minor !== 0;
+      } );
     }
 
     /**
@@ -660,7 +691,8 @@ module.exports = ( function() {
         await buildServerRequest( this.repo, version, this.branch, dependencies, {
           locales: locales,
           brands: this.brands,
-          servers: [ 'production' ]
+          servers: [ 'production' ],
+          deployType: 'production'
         } );
       }
       else {
@@ -0,0 +1,206 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * A named check (with a severity) that is run against release branches, see ReleaseBranch.getHealthResults() and
+ * Maintenance.checkBranchStatus().
+ *
+ * Rules can be enabled/disabled with a map of rule name => boolean, either passed as the `rules` option of
+ * Maintenance.checkBranchStatus(), or in the releaseBranchHealthRules field of build-local.json, e.g.
+ * "releaseBranchHealthRules": { "unreachable-dependency": true, "release-candidate": false }
+ */
+
+const ChipperVersion = require( './ChipperVersion' );
+const SimVersion = require( './SimVersion' );
+const execute = require( './execute' );
+const getFileAtBranch = require( './getFileAtBranch' );
+const gitRevParse = require( './gitRevParse' );
+const assert = require( 'assert' );
+
+module.exports = ( function() {
+
+  /**
+   * @typedef HealthRuleContext
+   * @property {Object} dependencies - The dependencies.json of the release branch
+   * @property {function(string):Promise.<Object>} getBranchMap - Returns (cached) branch name => SHA for a repo
+   * @property {function():Promise.<Object>} getSimMetadata - Returns the (cached) phet production metadata
+   */
+
+  /**
+   * Returns the names of the dependencies of a release branch (excluding the sim itself).
+   *
+   * @param {ReleaseBranch} releaseBranch
+   * @param {Object} dependencies
+   * @returns {Array.<string>}
+   */
+  const getDependencyNames = ( releaseBranch, dependencies ) => Object.keys( dependencies ).filter( key => {
+    return key !== 'comment' && key !== releaseBranch.repo && key !== 'phet-io-wrapper-sonification';
+  } );
+
+  class ReleaseBranchHealthRule {
+    /**
+     * @public
+     * @constructor
+     *
+     * @param {string} name - Used for configuration and in reports
+     * @param {string} severity - See ReleaseBranchHealthRule.SEVERITIES
+     * @param {string} description
+     * @param {function(ReleaseBranch,HealthRuleContext):Promise.<Array.<string>>} check - Resolves to a list of problem
+     *                                                                                   messages (empty if healthy)
+     * @param {boolean} [enabledByDefault] - Expensive rules may be disabled unless configured
+     */
+    constructor( name, severity, description, check, enabledByDefault = true ) {
+      assert( typeof name === 'string' );
+      assert( ReleaseBranchHealthRule.SEVERITIES.includes( severity ), `Unknown severity: ${severity}` );
+      assert( typeof description === 'string' );
+      assert( typeof check === 'function' );
+      assert( typeof enabledByDefault === 'boolean' );
+
+      // @public {string}
+      this.name = name;
+      this.severity = severity;
+      this.description = description;
+
+      // @public {function(ReleaseBranch,HealthRuleContext):Promise.<Array.<string>>}
+      this.check = check;
+
+      // @public {boolean}
+      this.enabledByDefault = enabledByDefault;
+    }
+
+    /**
+     * Convert into a plain JS object meant for JSON serialization.
+     * @public
+     *
+     * @returns {Object}
+     */
+    serialize() {
+      return {
+        name: this.name,
+        severity: this.severity,
+        description: this.description
+      };
+    }
+
+    /**
+     * Returns the enabled rules, given a configuration.
+     * @public
+     *
+     * @param {Object} [config] - Map of rule name => {boolean} enabled. Rules not included use their default.
+     * @returns {Array.<ReleaseBranchHealthRule>}
+     * @throws {Error} - if the configuration names an unknown rule
+     */
+    static getEnabledRules( config = {} ) {
+      Object.keys( config ).forEach( name => {
+        if ( !ReleaseBranchHealthRule.RULES.some( rule => rule.name === name ) ) {
+          throw new Error( `Unknown release branch health rule: ${name}, available rules: ${ReleaseBranchHealthRule.RULES.map( rule => rule.name ).join( ', ' )}` );
+        }
+      } );
+
+      return ReleaseBranchHealthRule.RULES.filter( rule => config[ rule.name ] === undefined ? rule.enabledByDefault : !!config[ rule.name ] );
+    }
+  }
+
+  // @public {Array.<string>} - From most to least severe
+  ReleaseBranchHealthRule.SEVERITIES = [ 'error', 'warning', 'info' ];
+
+  // @public {Array.<ReleaseBranchHealthRule>}
+  ReleaseBranchHealthRule.RULES = [
+    new ReleaseBranchHealthRule( 'own-dependency', 'warning', 'The sim repository should be included in its own dependencies.json', async ( releaseBranch, context ) => {
+      return context.dependencies[ releaseBranch.repo ] ? [] : [ 'Own repository not included in dependencies' ];
+    } ),
+
+    new ReleaseBranchHealthRule( 'potential-changes', 'info', 'The sim SHA in dependencies.json should be the commit before the branch tip (otherwise there may be undeployed changes)', async ( releaseBranch, context ) => {
+      if ( !context.dependencies[ releaseBranch.repo ] ) {
+        return [];
+      }
+
+      const currentCommit = await gitRevParse( releaseBranch.repo, releaseBranch.branch );
+      const previousCommit = await gitRevParse( releaseBranch.repo, `${currentCommit}^` );
+      if ( context.dependencies[ releaseBranch.repo ].sha !== previousCommit ) {
+        return [
+          'Potential changes (dependency is not previous commit)',
+          `${currentCommit} ${previousCommit} ${context.dependencies[ releaseBranch.repo ].sha}`
+        ];
+      }
+      return [];
+    } ),
+
+    new ReleaseBranchHealthRule( 'release-candidate', 'info', 'A released branch with a release candidate version may have an open QA issue', async releaseBranch => {
+      if ( releaseBranch.isReleased && ( await releaseBranch.getSimVersion() ).testType === 'rc' ) {
+        return [ 'Release candidate version detected (see if there is a QA issue)' ];
+      }
+      return [];
+    } ),
+
+    new ReleaseBranchHealthRule( 'dependency-mismatch', 'warning', 'Dependencies with a branch named after the release branch (e.g. density-1.2) should use its SHA', async ( releaseBranch, context ) => {
+      const results = [];
+      const potentialReleaseBranch = `${releaseBranch.repo}-${releaseBranch.branch}`;
+
+      for ( const dependency of getDependencyNames( releaseBranch, context.dependencies ) ) {
+        const branchMap = await context.getBranchMap( dependency );
+
+        if ( Object.keys( branchMap ).includes( potentialReleaseBranch ) ) {
+          if ( context.dependencies[ dependency ].sha !== branchMap[ potentialReleaseBranch ] ) {
+            results.push( `Dependency mismatch for ${dependency} on branch ${potentialReleaseBranch}` );
+          }
+        }
+      }
+
+      return results;
+    } ),
+
+    new ReleaseBranchHealthRule( 'unreachable-dependency', 'warning', 'Every dependency SHA should be reachable from a branch (otherwise it could be lost)', async ( releaseBranch, context ) => {
+      const results = [];
+
+      for ( const dependency of getDependencyNames( releaseBranch, context.dependencies ) ) {
+        const sha = context.dependencies[ dependency ].sha;
+        const result = await execute( 'git', [ 'branch', '--all', '--contains', sha ], `../${dependency}`, { errors: 'resolve' } );
+
+        if ( result.code !== 0 || result.stdout.trim().length === 0 ) {
+          results.push( `Dependency ${dependency} SHA ${sha} is not reachable from any branch` );
+        }
+      }
+
+      return results;
+    }, false ),
+
+    new ReleaseBranchHealthRule( 'unsupported-chipper-version', 'error', 'The build server only supports chipper 0.0.X and 2.0.X', async ( releaseBranch, context ) => {
+      if ( !context.dependencies.chipper ) {
+        return [ 'No chipper dependency' ];
+      }
+
+      const chipperVersion = ChipperVersion.getFromPackageJSON(
+        JSON.parse( await getFileAtBranch( 'chipper', context.dependencies.chipper.sha, 'package.json' ) )
+      );
+
+      if ( !( chipperVersion.major === 2 && chipperVersion.minor === 0 ) && !( chipperVersion.major === 0 && chipperVersion.minor === 0 ) ) {
+        return [ `Chipper version ${chipperVersion.toString()} is not supported by the build server` ];
+      }
+      return [];
+    } ),
+
+    new ReleaseBranchHealthRule( 'deployed-version-mismatch', 'warning', 'The package.json version of the latest released branch should match the last deployed production version', async ( releaseBranch, context ) => {
+      if ( !releaseBranch.isReleased || !releaseBranch.brands.includes( 'phet' ) ) {
+        return [];
+      }
+
+      const simVersion = await releaseBranch.getSimVersion();
+      if ( simVersion.testType ) {
+        return [];
+      }
+
+      const project = ( await context.getSimMetadata() ).projects.find( project => project.name === `html/${releaseBranch.repo}` );
+      if ( !project || project.version.major !== simVersion.major || project.version.minor !== simVersion.minor ) {
+        return [];
+      }
+
+      const deployedVersion = new SimVersion( project.version.major, project.version.minor, project.version.dev );
+      if ( deployedVersion.compareNumber( simVersion ) !== 0 ) {
+        return [ `package.json version ${simVersion.toString()} does not match the last deployed version ${deployedVersion.toString()}` ];
+      }
+      return [];
+    } )
+  ];
+
+  return ReleaseBranchHealthRule;
+} )();
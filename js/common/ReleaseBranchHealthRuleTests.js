@@ -0,0 +1,38 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node qunit tests for ReleaseBranchHealthRule
+ */
+
+/* eslint-env node */
+
+
+const ReleaseBranchHealthRule = require( './ReleaseBranchHealthRule' );
+const qunit = require( 'qunit' );
+
+qunit.module( 'ReleaseBranchHealthRule' );
+
+qunit.test( 'getEnabledRules', async assert => {
+  const names = rules => rules.map( rule => rule.name );
+  const defaultNames = names( ReleaseBranchHealthRule.getEnabledRules() );
+
+  assert.ok( defaultNames.includes( 'dependency-mismatch' ), 'Enabled by default' );
+  assert.notOk( defaultNames.includes( 'unreachable-dependency' ), 'Disabled by default' );
+
+  const configuredNames = names( ReleaseBranchHealthRule.getEnabledRules( {
+    'dependency-mismatch': false,
+    'unreachable-dependency': true
+  } ) );
+  assert.notOk( configuredNames.includes( 'dependency-mismatch' ), 'Disabled by configuration' );
+  assert.ok( configuredNames.includes( 'unreachable-dependency' ), 'Enabled by configuration' );
+
+  assert.throws( () => ReleaseBranchHealthRule.getEnabledRules( { 'not-a-rule': true } ), /Unknown release branch health rule/, 'Unknown rules' );
+} );
+
+qunit.test( 'own-dependency', async assert => {
+  const rule = ReleaseBranchHealthRule.RULES.find( rule => rule.name === 'own-dependency' );
+  const releaseBranch = { repo: 'density', branch: '1.2', brands: [ 'phet' ], isReleased: true };
+
+  assert.deepEqual( await rule.check( releaseBranch, { dependencies: { density: { sha: 'abc' } } } ), [], 'Included' );
+  assert.equal( ( await rule.check( releaseBranch, { dependencies: {} } ) ).length, 1, 'Not included' );
+} );
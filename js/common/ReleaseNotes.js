@@ -0,0 +1,248 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Generates release notes between two versions of a simulation: the commits in every dependency between the SHAs in
+ * each version's dependencies.json, grouped by the GitHub issues that they reference, as markdown or JSON. Unlike
+ * js/scripts/compare-dependencies.js, nothing is checked out (everything is read from the local git objects), so the
+ * repos (and the simulation's release branches) should be fetched beforehand. See `grunt release-notes`.
+ */
+
+const SimVersion = require( './SimVersion' );
+const execute = require( './execute' );
+const getGitFile = require( './getGitFile' );
+const _ = require( 'lodash' );
+const fs = require( 'fs' );
+const winston = require( 'winston' );
+
+module.exports = ( function() {
+
+  // Separators for the git log format (that won't appear in commit messages)
+  const FIELD_SEPARATOR = '\x1f';
+  const RECORD_SEPARATOR = '\x1e';
+
+  /**
+   * Returns the SHA of the commit (in the repo) that has the dependencies.json of a version, i.e. the latest
+   * "updated dependencies.json for {{VERSION}}" commit made by a deploy, on any branch. Any other string is treated as a
+   * git ref (branch, tag or SHA).
+   *
+   * @param {string} repo
+   * @param {string} versionOrRef
+   * @returns {Promise.<string>}
+   */
+  const resolveCommit = async ( repo, versionOrRef ) => {
+    let isVersion = true;
+    try {
+      SimVersion.parse( versionOrRef );
+    }
+    catch( e ) {
+      isVersion = false;
+    }
+
+    if ( isVersion ) {
+      const stdout = await execute( 'git', [
+        'log', '--all', '--format=%H', '--fixed-strings', `--grep=updated dependencies.json for ${versionOrRef}`
+      ], `../${repo}` );
+
+      // --grep matches substrings (e.g. 1.4.3 would match 1.4.3-rc.1), so check the subjects exactly
+      for ( const sha of stdout.trim().split( '\n' ).filter( line => line.length ) ) {
+        const subject = ( await execute( 'git', [ 'log', '-1', '--format=%s', sha ], `../${repo}` ) ).trim();
+        if ( subject === `updated dependencies.json for ${versionOrRef}` ) {
+          return sha;
+        }
+      }
+      throw new Error( `Could not find the dependencies.json commit for ${repo} ${versionOrRef}. Make sure its release branch is fetched, or pass a SHA instead.` );
+    }
+
+    return ( await execute( 'git', [ 'rev-parse', `${versionOrRef}^{commit}` ], `../${repo}` ) ).trim();
+  };
+
+  class ReleaseNotes {
+    /**
+     * Returns the release notes data (which is also the JSON format).
+     * @public
+     *
+     * @param {string} repo
+     * @param {string} from - The earlier version (e.g. '1.3.2'), or a git ref of the repo
+     * @param {string} to - The later version (e.g. '1.4.0'), or a git ref of the repo
+     * @returns {Promise.<Object>}
+     */
+    static async getData( repo, from, to ) {
+      const fromSHA = await resolveCommit( repo, from );
+      const toSHA = await resolveCommit( repo, to );
+
+      winston.info( `release notes for ${repo} ${from} (${fromSHA}) to ${to} (${toSHA})` );
+
+      const fromDependencies = JSON.parse( await getGitFile( repo, fromSHA, 'dependencies.json' ) );
+      const toDependencies = JSON.parse( await getGitFile( repo, toSHA, 'dependencies.json' ) );
+
+      const dependencyRepos = _.uniq( [ ...Object.keys( fromDependencies ), ...Object.keys( toDependencies ) ] )
+        .filter( dependency => dependency !== 'comment' ).sort();
+
+      const dependencies = [];
+      const commits = [];
+
+      for ( const dependency of dependencyRepos ) {
+        const fromDependencySHA = fromDependencies[ dependency ] ? fromDependencies[ dependency ].sha : null;
+        const toDependencySHA = toDependencies[ dependency ] ? toDependencies[ dependency ].sha : null;
+
+        const dependencyData = {
+          repo: dependency,
+          from: fromDependencySHA,
+          to: toDependencySHA,
+          status: !fromDependencySHA ? 'added' : !toDependencySHA ? 'removed' : fromDependencySHA === toDependencySHA ? 'unchanged' : 'changed',
+          commitCount: 0,
+          error: null
+        };
+        dependencies.push( dependencyData );
+
+        if ( dependencyData.status !== 'changed' ) {
+          continue;
+        }
+
+        if ( !fs.existsSync( `../${dependency}` ) ) {
+          dependencyData.error = `../${dependency} does not exist`;
+          continue;
+        }
+
+        const result = await execute( 'git', [
+          'log', '--no-merges', '--reverse',
+          `--format=%H${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%s${FIELD_SEPARATOR}%b${RECORD_SEPARATOR}`,
+          `${fromDependencySHA}..${toDependencySHA}`
+        ], `../${dependency}`, { errors: 'resolve' } );
+
+        if ( result.code !== 0 ) {
+          dependencyData.error = result.stderr.trim() || `git log failed with code ${result.code}`;
+          continue;
+        }
+
+        const dependencyCommits = result.stdout.split( RECORD_SEPARATOR ).map( record => record.trim() ).filter( record => record.length ).map( record => {
+          const [ sha, author, date, subject, body ] = record.split( FIELD_SEPARATOR );
+          return {
+            repo: dependency,
+            sha: sha,
+            author: author,
+            date: date,
+            subject: subject,
+            issues: ReleaseNotes.getIssueReferences( `${subject}\n${body || ''}`, dependency )
+          };
+        } );
+        dependencyData.commitCount = dependencyCommits.length;
+        commits.push( ...dependencyCommits );
+      }
+
+      const issueNames = _.uniq( _.flatten( commits.map( commit => commit.issues ) ) ).sort( ( a, b ) => {
+        const [ aRepo, aNumber ] = a.split( '#' );
+        const [ bRepo, bNumber ] = b.split( '#' );
+        return aRepo === bRepo ? Number( aNumber ) - Number( bNumber ) : aRepo.localeCompare( bRepo );
+      } );
+
+      return {
+        repo: repo,
+        from: { name: from, sha: fromSHA },
+        to: { name: to, sha: toSHA },
+        commitCount: commits.length,
+        dependencies: dependencies,
+        issues: issueNames.map( issue => ( {
+          issue: issue,
+          url: `https://github.com/phetsims/${issue.replace( '#', '/issues/' )}`,
+          commits: commits.filter( commit => commit.issues.includes( issue ) ).map( commit => _.omit( commit, 'issues' ) )
+        } ) ),
+        unreferencedCommits: commits.filter( commit => !commit.issues.length ).map( commit => _.omit( commit, 'issues' ) )
+      };
+    }
+
+    /**
+     * Returns the phetsims GitHub issues referenced by a commit message, as 'repo#number'. Both
+     * https://github.com/phetsims/{{REPO}}/issues/{{NUMBER}} and phetsims/{{REPO}}#{{NUMBER}} are recognized, and a
+     * bare #{{NUMBER}} refers to an issue of the commit's own repo.
+     * @public
+     *
+     * @param {string} message
+     * @param {string} repo - The repo of the commit
+     * @returns {Array.<string>}
+     */
+    static getIssueReferences( message, repo ) {
+      const issues = [];
+
+      for ( const match of message.matchAll( /github\.com\/phetsims\/([\w-]+)\/issues\/(\d+)/g ) ) {
+        issues.push( `${match[ 1 ]}#${match[ 2 ]}` );
+      }
+      for ( const match of message.matchAll( /(?:^|[^\w/.-])phetsims\/([\w-]+)#(\d+)/g ) ) {
+        issues.push( `${match[ 1 ]}#${match[ 2 ]}` );
+      }
+      for ( const match of message.matchAll( /(?:^|[^\w/#-])#(\d+)\b/g ) ) {
+        issues.push( `${repo}#${match[ 1 ]}` );
+      }
+
+      return _.uniq( issues );
+    }
+
+    /**
+     * Renders the release notes in a format.
+     * @public
+     *
+     * @param {Object} data - See getData()
+     * @param {string} format - See ReleaseNotes.FORMATS
+     * @returns {string}
+     */
+    static render( data, format ) {
+      if ( format === 'markdown' ) {
+        return ReleaseNotes.toMarkdown( data );
+      }
+      else if ( format === 'json' ) {
+        return `${JSON.stringify( data, null, 2 )}\n`;
+      }
+      throw new Error( `Unknown release notes format: ${format}, available formats: ${ReleaseNotes.FORMATS.join( ', ' )}` );
+    }
+
+    /**
+     * @public
+     *
+     * @param {Object} data - See getData()
+     * @returns {string}
+     */
+    static toMarkdown( data ) {
+      const describeCommit = commit => `- ${commit.repo} \`${commit.sha.slice( 0, 7 )}\` ${commit.subject} (${commit.author}, ${commit.date.slice( 0, 10 )})`;
+
+      const lines = [
+        `# ${data.repo} ${data.from.name} to ${data.to.name}`,
+        '',
+        `${data.commitCount} commits in ${data.dependencies.filter( dependency => dependency.commitCount ).length} repos, referencing ${data.issues.length} issues`
+      ];
+
+      lines.push( '', '## Issues' );
+      if ( !data.issues.length ) {
+        lines.push( '', 'None' );
+      }
+      for ( const issue of data.issues ) {
+        lines.push( '', `### [${issue.issue}](${issue.url})`, '', ...issue.commits.map( describeCommit ) );
+      }
+
+      lines.push( '', '## Commits without an issue', '' );
+      if ( !data.unreferencedCommits.length ) {
+        lines.push( 'None' );
+      }
+      lines.push( ...data.unreferencedCommits.map( describeCommit ) );
+
+      const changedDependencies = data.dependencies.filter( dependency => dependency.status !== 'unchanged' );
+      lines.push( '', '## Changed dependencies', '' );
+      if ( !changedDependencies.length ) {
+        lines.push( 'None' );
+      }
+      else {
+        lines.push( '| Repo | From | To | Commits |', '| --- | --- | --- | --- |' );
+        for ( const dependency of changedDependencies ) {
+          const commitCount = dependency.error ? `error: ${dependency.error.split( '\n' )[ 0 ]}` : dependency.status === 'changed' ? `${dependency.commitCount}` : dependency.status;
+          lines.push( `| ${dependency.repo} | ${dependency.from ? `\`${dependency.from.slice( 0, 7 )}\`` : ''} | ${dependency.to ? `\`${dependency.to.slice( 0, 7 )}\`` : ''} | ${commitCount} |` );
+        }
+      }
+
+      return `${lines.join( '\n' )}\n`;
+    }
+  }
+
+  // @public {Array.<string>}
+  ReleaseNotes.FORMATS = [ 'markdown', 'json' ];
+
+  return ReleaseNotes;
+} )();
\ No newline at end of file
@@ -0,0 +1,47 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node qunit tests for ReleaseNotes
+ */
+
+/* eslint-env node */
+
+
+const ReleaseNotes = require( './ReleaseNotes' );
+const qunit = require( 'qunit' );
+
+qunit.module( 'ReleaseNotes' );
+
+qunit.test( 'issue references', async assert => {
+  assert.deepEqual( ReleaseNotes.getIssueReferences( 'fix layout, see https://github.com/phetsims/scenery/issues/1500', 'joist' ), [ 'scenery#1500' ] );
+  assert.deepEqual( ReleaseNotes.getIssueReferences( 'phetsims/scenery#12 and #7', 'joist' ), [ 'scenery#12', 'joist#7' ], 'bare numbers are issues of the commit repo' );
+  assert.deepEqual( ReleaseNotes.getIssueReferences( 'fix #3\n\nsee #3 and https://github.com/phetsims/joist/issues/3', 'joist' ), [ 'joist#3' ], 'no duplicates' );
+  assert.deepEqual( ReleaseNotes.getIssueReferences( 'lint, see https://github.com/phetsims/joist/pull/4#issuecomment-5', 'joist' ), [], 'not issues' );
+} );
+
+qunit.test( 'rendering', async assert => {
+  const commit = { repo: 'joist', sha: 'abcdef0123456789', subject: 'fix title, #12', author: 'dev', date: '2026-03-01T10:00:00-07:00' };
+  const data = {
+    repo: 'density',
+    from: { name: '1.3.2', sha: '111' },
+    to: { name: '1.4.0', sha: '222' },
+    commitCount: 2,
+    dependencies: [
+      { repo: 'joist', from: 'aaaaaaaaaa', to: 'bbbbbbbbbb', status: 'changed', commitCount: 2, error: null },
+      { repo: 'scenery', from: 'cccccccccc', to: 'cccccccccc', status: 'unchanged', commitCount: 0, error: null },
+      { repo: 'tambo', from: null, to: 'dddddddddd', status: 'added', commitCount: 0, error: null }
+    ],
+    issues: [ { issue: 'joist#12', url: 'https://github.com/phetsims/joist/issues/12', commits: [ commit ] } ],
+    unreferencedCommits: [ Object.assign( {}, commit, { subject: 'lint' } ) ]
+  };
+
+  const markdown = ReleaseNotes.render( data, 'markdown' );
+  assert.ok( markdown.startsWith( '# density 1.3.2 to 1.4.0' ), 'title' );
+  assert.ok( markdown.includes( '### [joist#12](https://github.com/phetsims/joist/issues/12)\n\n- joist `abcdef0` fix title, #12 (dev, 2026-03-01)' ), 'issues' );
+  assert.ok( markdown.includes( '## Commits without an issue\n\n- joist `abcdef0` lint' ), 'unreferenced commits' );
+  assert.ok( markdown.includes( '| joist | `aaaaaaa` | `bbbbbbb` | 2 |' ) && markdown.includes( '| tambo |  | `ddddddd` | added |' ), 'dependencies' );
+  assert.notOk( markdown.includes( '| scenery |' ), 'unchanged dependencies are omitted' );
+
+  assert.deepEqual( JSON.parse( ReleaseNotes.render( data, 'json' ) ), data, 'json round trip' );
+  assert.throws( () => ReleaseNotes.render( data, 'html' ), /Unknown release notes format/ );
+} );
\ No newline at end of file
@@ -67,5 +67,8 @@ module.exports = {
   decafDeployPath: buildLocalObject.decafDeployPath || '/data/web/htdocs/dev/decaf/',
   buildServerNotifyEmail: buildLocalObject.buildServerNotifyEmail || null,
   productionServerURL: buildLocalObject.productionServerURL || 'https://phet.colorado.edu',
-  babelBranch: buildLocalObject.babelBranch || 'main'
+  babelBranch: buildLocalObject.babelBranch || 'main',
+
+  // {Object} - rule name => {boolean} enabled, see ReleaseBranchHealthRule
+  releaseBranchHealthRules: buildLocalObject.releaseBranchHealthRules || {}
 };
\ No newline at end of file
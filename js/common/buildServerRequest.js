@@ -20,14 +20,15 @@ const winston = require( 'winston' );
  * @param {string} branch
  * @param {Object} dependencies - Dependencies object, use getDependencies?
  * @param {Object} [options]
- * @returns {Promise} - No resolved value
+ * @returns {Promise.<{status:number, data:*}>} - The build server's response
  */
 module.exports = async function( repo, version, branch, dependencies, options ) {
 
   const {
     locales = '*',
     brands = [ 'phet', 'phet-io' ],
-    servers = [ 'dev' ] // {Array.<string>}, currently 'dev' and 'production' are supported
+    servers = [ 'dev' ], // {Array.<string>}, currently 'dev' and 'production' are supported
+    deployType = null // {string|null} - e.g. rc, production or prototype, recorded in the build server's deploy history
   } = options || {};
 
   winston.info( `sending build request for ${repo} ${version.toString()} with dependencies: ${JSON.stringify( dependencies )}` );
@@ -45,6 +46,9 @@ module.exports = async function( repo, version, branch, dependencies, options )
     branch: branch,
     authorizationCode: buildLocal.buildServerAuthorizationCode
   };
+  if ( deployType ) {
+    requestObject.deployType = deployType;
+  }
   if ( buildLocal.buildServerNotifyEmail ) {
     requestObject.email = buildLocal.buildServerNotifyEmail;
   }
@@ -67,4 +71,9 @@ module.exports = async function( repo, version, branch, dependencies, options )
   else {
     winston.info( 'Build request sent successfully' );
   }
+
+  return {
+    status: response.status,
+    data: response.data
+  };
 };
\ No newline at end of file
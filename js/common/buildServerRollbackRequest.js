@@ -0,0 +1,52 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Sends a request to the build server to roll back the production deploy of a simulation to a previous version.
+ */
+
+const buildLocal = require( './buildLocal' );
+const axios = require( 'axios' );
+const winston = require( 'winston' );
+
+/**
+ * Sends a rollback request to the build server.
+ * @public
+ *
+ * @param {string} repo
+ * @param {SimVersion} version - The production version to roll back to
+ * @param {Array.<string>} brands
+ * @returns {Promise.<{status:number, data:*}>} - The build server's response (data includes the taskId)
+ */
+module.exports = async function( repo, version, brands ) {
+  const requestObject = {
+    api: '2.0',
+    simName: repo,
+    version: version.toString(),
+    brands: brands,
+    authorizationCode: buildLocal.buildServerAuthorizationCode
+  };
+  if ( buildLocal.buildServerNotifyEmail ) {
+    requestObject.email = buildLocal.buildServerNotifyEmail;
+  }
+
+  const url = `${buildLocal.productionServerURL}/rollback-simulation`;
+
+  winston.info( `sending rollback request for ${repo} ${version.toString()} (${brands.join( ',' )}) to ${url}` );
+
+  let response;
+  try {
+    response = await axios( { method: 'POST', url: url, data: requestObject } );
+  }
+  catch( error ) {
+    throw new Error( `Rollback request failed with error ${error}.` );
+  }
+  if ( response.status !== 202 ) {
+    throw new Error( `Rollback request failed with error ${response.status}.` );
+  }
+  winston.info( 'Rollback request sent successfully' );
+
+  return {
+    status: response.status,
+    data: response.data
+  };
+};
\ No newline at end of file
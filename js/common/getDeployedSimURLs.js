@@ -0,0 +1,73 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Returns the URLs of a deployed simulation version (the all-locales sim for phet, and the standalone sim, the wrapper
+ * index and Studio for phet-io), using the layout of the dev server for versions with a test type (rc, dev, etc.), and the layout of the
+ * production servers otherwise. This matches the links printed by the rc/production deploys (for chipper 2.0).
+ */
+
+const SimVersion = require( './SimVersion' );
+const _ = require( 'lodash' );
+
+const DEV_BASE_URL = 'https://phet-dev.colorado.edu/html';
+const PHET_PRODUCTION_BASE_URL = 'https://phet.colorado.edu/sims/html';
+const PHET_IO_PRODUCTION_BASE_URL = 'https://phet-io.colorado.edu/sims';
+
+/**
+ * Returns the URLs of a deployed simulation version.
+ * @public
+ *
+ * @param {string} repo
+ * @param {SimVersion|string} version
+ * @param {Array.<string>} brands
+ * @param {Object} [options]
+ * @returns {Array.<{brand:string, type:string, url:string}>} - type is 'sim', 'wrapper' or 'studio'
+ */
+module.exports = function getDeployedSimURLs( repo, version, brands, options ) {
+  options = _.merge( {
+    // {string|null} - If provided, used instead of the dev/production server locations (with the same layout below it),
+    // e.g. for a local copy of a deployed version.
+    baseURL: null,
+
+    // {string} - Query parameter for the standalone phet-io sim
+    phetioStandaloneQueryParameter: 'phetioStandalone'
+  }, options );
+
+  if ( typeof version === 'string' ) {
+    version = SimVersion.parse( version );
+  }
+
+  const versionString = version.toString();
+  const isDev = version.testType !== null;
+  const urls = [];
+
+  if ( brands.includes( 'phet' ) ) {
+    const baseURL = options.baseURL || ( isDev ? DEV_BASE_URL : PHET_PRODUCTION_BASE_URL );
+    urls.push( {
+      brand: 'phet',
+      type: 'sim',
+      url: isDev ? `${baseURL}/${repo}/${versionString}/phet/${repo}_all_phet.html` : `${baseURL}/${repo}/${versionString}/${repo}_all.html`
+    } );
+  }
+  if ( brands.includes( 'phet-io' ) ) {
+    const baseURL = options.baseURL || ( isDev ? DEV_BASE_URL : PHET_IO_PRODUCTION_BASE_URL );
+    const versionURL = `${baseURL}/${repo}/${versionString}${isDev ? '/phet-io' : ''}`;
+    urls.push( {
+      brand: 'phet-io',
+      type: 'sim',
+      url: `${versionURL}/${repo}_all_phet-io.html?${options.phetioStandaloneQueryParameter}`
+    } );
+    urls.push( {
+      brand: 'phet-io',
+      type: 'wrapper',
+      url: `${versionURL}/wrappers/index/index.html`
+    } );
+    urls.push( {
+      brand: 'phet-io',
+      type: 'studio',
+      url: `${versionURL}/wrappers/studio/index.html`
+    } );
+  }
+
+  return urls;
+};
\ No newline at end of file
@@ -0,0 +1,37 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Node qunit tests for getDeployedSimURLs
+ */
+
+/* eslint-env node */
+
+
+const getDeployedSimURLs = require( './getDeployedSimURLs' );
+const qunit = require( 'qunit' );
+
+qunit.module( 'getDeployedSimURLs' );
+
+qunit.test( 'dev and production layouts', async assert => {
+  assert.deepEqual( getDeployedSimURLs( 'density', '1.4.2-rc.1', [ 'phet', 'phet-io' ] ).map( url => url.url ), [
+    'https://phet-dev.colorado.edu/html/density/1.4.2-rc.1/phet/density_all_phet.html',
+    'https://phet-dev.colorado.edu/html/density/1.4.2-rc.1/phet-io/density_all_phet-io.html?phetioStandalone',
+    'https://phet-dev.colorado.edu/html/density/1.4.2-rc.1/phet-io/wrappers/index/index.html',
+    'https://phet-dev.colorado.edu/html/density/1.4.2-rc.1/phet-io/wrappers/studio/index.html'
+  ] );
+
+  assert.deepEqual( getDeployedSimURLs( 'density', '1.4.2', [ 'phet', 'phet-io' ] ).map( url => url.url ), [
+    'https://phet.colorado.edu/sims/html/density/1.4.2/density_all.html',
+    'https://phet-io.colorado.edu/sims/density/1.4.2/density_all_phet-io.html?phetioStandalone',
+    'https://phet-io.colorado.edu/sims/density/1.4.2/wrappers/index/index.html',
+    'https://phet-io.colorado.edu/sims/density/1.4.2/wrappers/studio/index.html'
+  ] );
+} );
+
+qunit.test( 'options', async assert => {
+  assert.deepEqual( getDeployedSimURLs( 'density', '1.4.2', [ 'phet-io' ], { baseURL: 'http://localhost:8080' } ), [
+    { brand: 'phet-io', type: 'sim', url: 'http://localhost:8080/density/1.4.2/density_all_phet-io.html?phetioStandalone' },
+    { brand: 'phet-io', type: 'wrapper', url: 'http://localhost:8080/density/1.4.2/wrappers/index/index.html' },
+    { brand: 'phet-io', type: 'studio', url: 'http://localhost:8080/density/1.4.2/wrappers/studio/index.html' }
+  ] );
+} );
\ No newline at end of file
@@ -0,0 +1,42 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Finds the (non-merge) commits on a branch whose commit messages reference a phetsims GitHub issue.
+ */
+
+const execute = require( './execute' );
+const winston = require( 'winston' );
+
+/**
+ * Finds the (non-merge) commits on a branch whose commit messages reference a phetsims GitHub issue, e.g. with
+ * "phetsims/scenery#1234", "https://github.com/phetsims/scenery/issues/1234", or (in the scenery repo itself) "#1234".
+ * @public
+ *
+ * @param {string} repo - The repository name to search
+ * @param {string} issueRepo - The repository name of the issue
+ * @param {number} issueNumber
+ * @param {string} [branch] - The branch to search
+ * @returns {Promise.<Array.<{sha:string, subject:string}>>} - In commit order (oldest first)
+ * @rejects {ExecuteError}
+ */
+module.exports = async function( repo, issueRepo, issueNumber, branch = 'main' ) {
+  winston.info( `searching ${repo} ${branch} for commits referencing ${issueRepo}#${issueNumber}` );
+
+  const patterns = [
+    `phetsims/${issueRepo}#${issueNumber}([^0-9]|$)`,
+    `github\\.com/phetsims/${issueRepo}/issues/${issueNumber}([^0-9]|$)`
+  ];
+  if ( repo === issueRepo ) {
+    patterns.push( `(^|[^/A-Za-z0-9_-])#${issueNumber}([^0-9]|$)` );
+  }
+
+  const stdout = await execute( 'git', [
+    'log', branch, '--no-merges', '--topo-order', '--reverse', '--extended-regexp', '--format=%H %s',
+    ...patterns.map( pattern => `--grep=${pattern}` )
+  ], `../${repo}` );
+
+  return stdout.trim().split( '\n' ).filter( line => line.length ).map( line => ( {
+    sha: line.slice( 0, line.indexOf( ' ' ) ),
+    subject: line.slice( line.indexOf( ' ' ) + 1 )
+  } ) );
+};
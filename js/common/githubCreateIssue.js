@@ -29,7 +29,7 @@ const winston = require( 'winston' );
  * @param {string} title - The title of the issue
  * @param {Object} [options] - Other options to pass in. `body` is recommended. See
  *                             https://octokit.github.io/rest.js/#octokit-routes-issues-create
- * @returns {Promise.<Array.<string>>} - Resolves with checkedOutRepos
+ * @returns {Promise.<Object>} - Resolves with the created issue data (number, html_url, etc.)
  */
 module.exports = async function( repo, title, options ) {
   winston.info( `Creating issue for ${repo}` );
@@ -37,9 +37,11 @@ module.exports = async function( repo, title, options ) {
   const octokit = new Octokit( {
     auth: buildLocal.phetDevGitHubAccessToken
   } );
-  await octokit.issues.create( _.extend( {
+  const response = await octokit.issues.create( _.extend( {
     owner: 'phetsims',
     repo: repo,
     title: title
   }, options ) );
+
+  return response.data;
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Gets an issue from a phetsims github repository
+ */
+
+const buildLocal = require( './buildLocal' );
+const Octokit = require( '@octokit/rest' ); // eslint-disable-line require-statement-match
+const winston = require( 'winston' );
+
+/**
+ * Gets an issue from a phetsims github repository
+ * @public
+ *
+ * @param {string} repo - The repository name
+ * @param {number} issueNumber
+ * @returns {Promise.<Object>} - Resolves with the issue data (title, body, state, labels, etc.), see
+ *                               https://octokit.github.io/rest.js/#octokit-routes-issues-get
+ */
+module.exports = async function( repo, issueNumber ) {
+  winston.info( `Getting issue ${repo}#${issueNumber}` );
+
+  const octokit = new Octokit( {
+    auth: buildLocal.phetDevGitHubAccessToken
+  } );
+  const response = await octokit.issues.get( {
+    owner: 'phetsims',
+    repo: repo,
+    issue_number: issueNumber
+  } );
+
+  return response.data;
+};
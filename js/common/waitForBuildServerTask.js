@@ -0,0 +1,69 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Waits for a build server task (see the taskId in the buildServerRequest response) to complete, printing its progress.
+ */
+
+const buildLocal = require( './buildLocal' );
+const sleep = require( './sleep' );
+const axios = require( 'axios' );
+
+/**
+ * Waits for a build server task to complete.
+ * @public
+ *
+ * @param {string} taskId
+ * @param {Object} [options]
+ * @returns {Promise.<Object>} - The final status of the task
+ * @rejects {Error} - If the task failed, or did not complete in time
+ */
+module.exports = async function waitForBuildServerTask( taskId, options ) {
+  const {
+    pollInterval = 10000, // {number} - milliseconds between status requests
+    timeout = 2 * 60 * 60 * 1000, // {number} - milliseconds until we give up waiting
+    log = console.log // {function(string)} - for progress messages
+  } = options || {};
+
+  const url = `${buildLocal.productionServerURL}/deploy-status/${taskId}`;
+  const startTime = Date.now();
+
+  let lastStatus = null;
+  let progressCount = 0;
+
+  log( `Waiting for build server task ${taskId} (${url})` );
+
+  while ( true ) { // eslint-disable-line no-constant-condition
+    let taskStatus;
+    try {
+      taskStatus = ( await axios( { method: 'GET', url: url } ) ).data;
+    }
+    catch( e ) {
+      // Transient network failures shouldn't abort the wait, but unknown tasks will never complete
+      if ( e.response && e.response.status === 404 ) {
+        throw new Error( `The build server does not know about task ${taskId}` );
+      }
+      log( `Unable to get the build server status, retrying: ${e}` );
+    }
+
+    if ( taskStatus ) {
+      if ( taskStatus.status !== lastStatus ) {
+        log( `Build server task ${taskStatus.status}` );
+        lastStatus = taskStatus.status;
+      }
+      taskStatus.progress.slice( progressCount ).forEach( progress => log( `  ${progress.message}` ) );
+      progressCount = taskStatus.progress.length;
+
+      if ( taskStatus.status === 'succeeded' ) {
+        return taskStatus;
+      }
+      if ( taskStatus.status === 'failed' ) {
+        throw new Error( `Build server task for ${taskStatus.simName} ${taskStatus.version} failed: ${taskStatus.error}` );
+      }
+    }
+
+    if ( Date.now() - startTime > timeout ) {
+      throw new Error( `Timed out waiting for build server task ${taskId}, see ${buildLocal.productionServerURL}/deploy-status` );
+    }
+    await sleep( pollInterval );
+  }
+};
\ No newline at end of file
@@ -390,7 +390,9 @@ module.exports = function( grunt ) {
     '--branch : The name of the one-off branch (the name of the one-off)\n' +
     '--brands : A comma-separated list of brand names to deploy\n' +
     '--noninteractive : If specified, prompts will be skipped. Some prompts that should not be automated will fail out\n' +
-    '--message : An optional message that will be appended on version-change commits.',
+    '--message : An optional message that will be appended on version-change commits.\n' +
+    '--wait : Accepted for consistency with rc/production. One-off versions are built locally and copied to the dev server, so the\n' +
+    '         deploy is always complete when this task finishes.',
     wrapTask( async () => {
 
       const getBranch = require( '../common/getBranch' );
@@ -420,7 +422,8 @@ module.exports = function( grunt ) {
     '--branch : The release branch name (e.g. "1.7") that should be used for deployment\n' +
     '--brands : A comma-separated list of brand names to deploy\n' +
     '--noninteractive : If specified, prompts will be skipped. Some prompts that should not be automated will fail out\n' +
-    '--message : An optional message that will be appended on version-change commits.',
+    '--message : An optional message that will be appended on version-change commits.\n' +
+    '--wait : If specified, waits for the build-server to complete the deployment (printing its progress), and fails if it fails.',
     wrapTask( async () => {
       assert( grunt.option( 'repo' ), 'Requires specifying a repository with --repo={{REPOSITORY}}' );
       assert( grunt.option( 'branch' ), 'Requires specifying a branch with --branch={{BRANCH}}' );
@@ -431,7 +434,9 @@ module.exports = function( grunt ) {
 
       const rc = require( './rc' );
 
-      await rc( repo, grunt.option( 'branch' ), grunt.option( 'brands' ).split( ',' ), noninteractive, grunt.option( 'message' ) );
+      await rc( repo, grunt.option( 'branch' ), grunt.option( 'brands' ).split( ',' ), noninteractive, grunt.option( 'message' ), {
+        wait: !!grunt.option( 'wait' )
+      } );
     } ) );
 
   grunt.registerTask( 'production',
@@ -441,7 +446,8 @@ module.exports = function( grunt ) {
     '--brands : A comma-separated list of brand names to deploy\n' +
     '--noninteractive : If specified, prompts will be skipped. Some prompts that should not be automated will fail out\n' +
     '--redeploy: If specified with noninteractive, allow the production deploy to have the same version as the previous deploy\n' +
-    '--message : An optional message that will be appended on version-change commits.',
+    '--message : An optional message that will be appended on version-change commits.\n' +
+    '--wait : If specified, waits for the build-server to complete the deployment (printing its progress), and fails if it fails.',
     wrapTask( async () => {
       const production = require( './production' );
       const markSimAsPublished = require( '../common/markSimAsPublished' );
@@ -456,7 +462,9 @@ module.exports = function( grunt ) {
       await markSimAsPublished( repo );
 
       await production( repo, grunt.option( 'branch' ), grunt.option( 'brands' ).split( ',' ), noninteractive,
-        grunt.option( 'redeploy' ), grunt.option( 'message' ) );
+        grunt.option( 'redeploy' ), grunt.option( 'message' ), {
+          wait: !!grunt.option( 'wait' )
+        } );
     } ) );
 
   grunt.registerTask( 'prototype',
@@ -466,7 +474,8 @@ module.exports = function( grunt ) {
     '--brands : A comma-separated list of brand names to deploy\n' +
     '--noninteractive : If specified, prompts will be skipped. Some prompts that should not be automated will fail out\n' +
     '--redeploy: If specified with noninteractive, allow the production deploy to have the same version as the previous deploy\n' +
-    '--message : An optional message that will be appended on version-change commits.',
+    '--message : An optional message that will be appended on version-change commits.\n' +
+    '--wait : If specified, waits for the build-server to complete the deployment (printing its progress), and fails if it fails.',
     wrapTask( async () => {
       const production = require( './production' );
 
@@ -478,7 +487,122 @@ module.exports = function( grunt ) {
       assertIsValidRepoName( repo );
 
       await production( repo, grunt.option( 'branch' ), grunt.option( 'brands' ).split( ',' ), noninteractive,
-        grunt.option( 'redeploy' ), grunt.option( 'message' ) );
+        grunt.option( 'redeploy' ), grunt.option( 'message' ), {
+          wait: !!grunt.option( 'wait' )
+        } );
+    } ) );
+
+  grunt.registerTask( 'deploy-history',
+    'Prints the deploy history (dev, one-off, rc, production, prototype deploys and rollbacks) recorded in this checkout,\n' +
+    'oldest first\n' +
+    '--repo : The name of the repository to show deploys for\n' +
+    '--version : Only show deploys of this version (includes the dependency SHAs)\n' +
+    '--limit : Only show the most recent N deploys\n' +
+    '--json : Prints the records as JSON',
+    wrapTask( async () => {
+      const DeployHistory = require( '../common/DeployHistory' );
+
+      assert( grunt.option( 'repo' ), 'Requires specifying a repository with --repo={{REPOSITORY}}' );
+
+      const version = grunt.option( 'version' ) ? `${grunt.option( 'version' )}` : null;
+      let records = DeployHistory.load( { repo: grunt.option( 'repo' ), version: version } );
+      if ( grunt.option( 'limit' ) ) {
+        records = records.slice( -Number( grunt.option( 'limit' ) ) );
+      }
+
+      if ( grunt.option( 'json' ) ) {
+        grunt.log.writeln( JSON.stringify( records, null, 2 ) );
+      }
+      else if ( !records.length ) {
+        grunt.log.writeln( `No deploys of ${grunt.option( 'repo' )}${version ? ` ${version}` : ''} recorded in ${DeployHistory.DEPLOY_HISTORY_FILE}` );
+      }
+      else {
+        records.forEach( record => grunt.log.writeln( DeployHistory.describe( record, !!version ) ) );
+      }
+    } ) );
+
+  grunt.registerTask( 'rollback',
+    'Rolls back the production deploy of a simulation to a previously-deployed production version (with the build-server),\n' +
+    'pointing "latest" at it for the phet and phet-io brands and notifying the website. Nothing is rebuilt.\n' +
+    '--repo : The name of the repository to roll back\n' +
+    '--to : The deployed production version to roll back to, e.g. 1.4.1\n' +
+    '--brands : A comma-separated list of brand names to roll back (defaults to phet,phet-io)\n' +
+    '--noninteractive : If specified, prompts will be skipped\n' +
+    '--wait : If specified, waits for the build-server to complete the rollback, and fails if it fails.',
+    wrapTask( async () => {
+      const rollback = require( './rollback' );
+
+      assert( grunt.option( 'repo' ), 'Requires specifying a repository with --repo={{REPOSITORY}}' );
+      assert( grunt.option( 'to' ), 'Requires specifying a version with --to={{VERSION}}' );
+
+      const repo = grunt.option( 'repo' );
+      assertIsValidRepoName( repo );
+
+      await rollback( repo, `${grunt.option( 'to' )}`, ( grunt.option( 'brands' ) || 'phet,phet-io' ).split( ',' ), noninteractive, {
+        wait: !!grunt.option( 'wait' )
+      } );
+    } ) );
+
+  grunt.registerTask( 'verify-deploy',
+    'Smoke-tests a deployed version of a simulation, loading its deployed sim (and the wrapper index and Studio for\n' +
+    'phet-io) URLs in a browser, checking for page errors and that the sim reports the expected version. Fails if any URL fails.\n' +
+    '--repo : The name of the repository that was deployed\n' +
+    '--version : The deployed version, e.g. 1.4.2 (production) or 1.4.2-rc.1 (dev server)\n' +
+    '--brands : A comma-separated list of the deployed brands\n' +
+    '--baseURL : Optional location to use instead of the dev/production servers (with the same directory layout), e.g.\n' +
+    '            http://localhost:8080/html for a local copy\n' +
+    '--directory : Optional local directory (with the same layout) to serve and verify instead of the servers',
+    wrapTask( async () => {
+      const verifyDeploy = require( './verifyDeploy' );
+
+      assert( grunt.option( 'repo' ), 'Requires specifying a repository with --repo={{REPOSITORY}}' );
+      assert( grunt.option( 'version' ), 'Requires specifying a version with --version={{VERSION}}' );
+      assert( grunt.option( 'brands' ), 'Requires specifying brands (comma-separated) with --brands={{BRANDS}}' );
+
+      const repo = grunt.option( 'repo' );
+      assertIsValidRepoName( repo );
+
+      const results = await verifyDeploy( repo, `${grunt.option( 'version' )}`, grunt.option( 'brands' ).split( ',' ), {
+        baseURL: grunt.option( 'baseURL' ) || null,
+        directory: grunt.option( 'directory' ) || null
+      } );
+
+      if ( results.some( result => !result.passed ) ) {
+        throw new Error( 'Deploy verification failed' );
+      }
+    } ) );
+
+  grunt.registerTask( 'release-notes',
+    'Lists the commits in every dependency between two versions of a simulation (using the dependencies.json committed\n' +
+    'by each deploy), grouped by the GitHub issues they reference. Nothing is checked out, but the repos (and the\n' +
+    'simulation\'s release branches) should be fetched.\n' +
+    '--repo : The name of the simulation repository\n' +
+    '--from : The earlier version, e.g. 1.3.2 (or a branch/tag/SHA of the repo)\n' +
+    '--to : The later version, e.g. 1.4.0 (or a branch/tag/SHA of the repo)\n' +
+    '--format : markdown (default) or json\n' +
+    '--file : Optional file to write the release notes to (instead of printing them)',
+    wrapTask( async () => {
+      const ReleaseNotes = require( '../common/ReleaseNotes' );
+
+      assert( grunt.option( 'repo' ), 'Requires specifying a repository with --repo={{REPOSITORY}}' );
+      assert( grunt.option( 'from' ), 'Requires specifying the earlier version with --from={{VERSION}}' );
+      assert( grunt.option( 'to' ), 'Requires specifying the later version with --to={{VERSION}}' );
+
+      const repo = grunt.option( 'repo' );
+      assertIsValidRepoName( repo );
+
+      const format = grunt.option( 'format' ) || 'markdown';
+      assert( ReleaseNotes.FORMATS.includes( format ), `Unknown --format=${format}, available formats: ${ReleaseNotes.FORMATS.join( ', ' )}` );
+
+      const notes = ReleaseNotes.render( await ReleaseNotes.getData( repo, `${grunt.option( 'from' )}`, `${grunt.option( 'to' )}` ), format );
+
+      if ( grunt.option( 'file' ) ) {
+        grunt.file.write( grunt.option( 'file' ), notes );
+        grunt.log.writeln( `Wrote release notes to ${grunt.option( 'file' )}` );
+      }
+      else {
+        grunt.log.write( notes );
+      }
     } ) );
 
   grunt.registerTask( 'deploy-decaf',
@@ -570,11 +694,30 @@ module.exports = function( grunt ) {
     await cloneMissingRepos();
   } ) );
 
-  grunt.registerTask( 'maintenance', 'Starts a maintenance REPL', wrapTask( async () => {
-    const Maintenance = require( '../common/Maintenance' );
+  grunt.registerTask( 'maintenance',
+    'Starts a maintenance REPL, or runs a single maintenance command non-interactively\n' +
+    '--command : If provided, runs this public Maintenance command instead of starting the REPL (--command=help lists them).\n' +
+    '            Arguments are provided as options named after the parameters, e.g. --patchName=scenery (or --patch),\n' +
+    '            --filter=filter.js (a file exporting the function) or --options=\'{"dryRun":true}\' (JSON)\n' +
+    '--json : If provided with --command, prints a single JSON object with the result (and the resulting maintenance state)\n' +
+    'Exits with 1 if the command fails, and 2 for an unknown command or invalid arguments',
+    wrapTask( async () => {
+      const command = grunt.option( 'command' );
 
-    await Maintenance.startREPL();
-  } ) );
+      if ( command ) {
+        const maintenanceCommand = require( './maintenanceCommand' );
+
+        const exitCode = await maintenanceCommand( command, option => grunt.option( option ), !!grunt.option( 'json' ) );
+        if ( exitCode !== 0 ) {
+          grunt.util.exit( exitCode );
+        }
+      }
+      else {
+        const Maintenance = require( '../common/Maintenance' );
+
+        await Maintenance.startREPL();
+      }
+    } ) );
 
   grunt.registerTask( 'maintenance-check-branch-status', 'Reports out on release branch statuses', wrapTask( async () => {
     const Maintenance = require( '../common/Maintenance' );
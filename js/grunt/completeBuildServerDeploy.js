@@ -0,0 +1,51 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Finishes a deploy that was sent to the build server: optionally waits for the build server to complete it, and
+ * records it in the deploy history (see DeployHistory).
+ */
+
+const DeployHistory = require( '../common/DeployHistory' );
+const buildLocal = require( '../common/buildLocal' );
+const waitForBuildServerTask = require( '../common/waitForBuildServerTask' );
+const grunt = require( 'grunt' );
+const _ = require( 'lodash' );
+
+/**
+ * Finishes a deploy that was sent to the build server.
+ * @public
+ *
+ * @param {Object} record - The deploy history record (without the result and taskId)
+ * @param {{status:number, data:*}} buildServerResponse - see buildServerRequest
+ * @param {boolean} wait - whether to wait for the build server to complete the deployment, rejecting if it fails (or
+ *                         if the build server doesn't support waiting)
+ * @returns {Promise}
+ */
+module.exports = async function completeBuildServerDeploy( record, buildServerResponse, wait ) {
+  const taskId = ( buildServerResponse.data && buildServerResponse.data.taskId ) || null;
+  record = _.assign( {}, record, { taskId: taskId } );
+
+  if ( wait && !taskId ) {
+    DeployHistory.record( _.assign( record, { result: 'requested' } ) );
+
+    // Waiting callers only treat the deploy as done once it succeeded, so we can't report success here
+    throw new Error( `The build-server accepted the deploy of ${record.repo} ${record.version}, but did not return a task id (it may need to be updated), so we cannot wait for the deployment. Check ${buildLocal.productionServerURL}/deploy-status for its result.` );
+  }
+
+  if ( wait ) {
+    try {
+      await waitForBuildServerTask( taskId, { log: message => grunt.log.writeln( message ) } );
+    }
+    catch( e ) {
+      DeployHistory.record( _.assign( record, { result: 'failed', error: e.message } ) );
+      throw e;
+    }
+    DeployHistory.record( _.assign( record, { result: 'succeeded' } ) );
+    grunt.log.writeln( 'The build-server completed the deployment, please test!' );
+  }
+  else {
+    DeployHistory.record( _.assign( record, { result: 'requested' } ) );
+    grunt.log.writeln( 'Please wait for the build-server to complete the deployment, and then test!' );
+    grunt.log.writeln( `To view the current build status, visit ${buildLocal.productionServerURL}/deploy-status` );
+  }
+};
\ No newline at end of file
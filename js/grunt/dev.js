@@ -6,6 +6,7 @@
  * @author Jonathan Olson <jonathan.olson@colorado.edu>
  */
 
+const DeployHistory = require( '../common/DeployHistory' );
 const SimVersion = require( '../common/SimVersion' );
 const booleanPrompt = require( '../common/booleanPrompt' );
 const build = require( '../common/build' );
@@ -14,6 +15,7 @@ const devDirectoryExists = require( '../common/devDirectoryExists' );
 const devScp = require( '../common/devScp' );
 const devSsh = require( '../common/devSsh' );
 const getBranch = require( '../common/getBranch' );
+const getDependencies = require( '../common/getDependencies' );
 const getRemoteBranchSHAs = require( '../common/getRemoteBranchSHAs' );
 const getRepoVersion = require( '../common/getRepoVersion' );
 const gitIsClean = require( '../common/gitIsClean' );
@@ -29,6 +31,7 @@ const vpnCheck = require( '../common/vpnCheck' );
 const writePhetioHtaccess = require( '../common/writePhetioHtaccess' );
 const assert = require( 'assert' );
 const grunt = require( 'grunt' );
+const _ = require( 'lodash' );
 
 /**
  * Deploys a dev version after incrementing the test version number.
@@ -128,29 +131,49 @@ module.exports = async function( repo, brands, noninteractive, branch, message )
     debugHTML: true
   } ) );
 
-  // Create (and fix permissions for) the main simulation directory, if it didn't already exist
-  if ( !simPathExists ) {
-    await devSsh( `mkdir -p "${simPath}" && echo "IndexOrderDefault Descending Date\n" > "${simPath}/.htaccess"` );
-  }
+  const historyRecord = {
+    type: isOneOff ? 'one-off' : 'dev',
+    repo: repo,
+    version: versionString,
+    brands: brands,
+    servers: [ 'dev' ],
+    branch: branch
+  };
+
+  try {
+    // Create (and fix permissions for) the main simulation directory, if it didn't already exist
+    if ( !simPathExists ) {
+      await devSsh( `mkdir -p "${simPath}" && echo "IndexOrderDefault Descending Date\n" > "${simPath}/.htaccess"` );
+    }
 
-  // Create the version-specific directory
-  await devSsh( `mkdir -p "${versionPath}"` );
+    // Create the version-specific directory
+    await devSsh( `mkdir -p "${versionPath}"` );
 
-  // Copy the build contents into the version-specific directory
-  for ( const brand of brands ) {
-    await devScp( `../${repo}/build/${brand}`, `${versionPath}/` );
-  }
+    // Copy the build contents into the version-specific directory
+    for ( const brand of brands ) {
+      await devScp( `../${repo}/build/${brand}`, `${versionPath}/` );
+    }
 
-  // If there is a protected directory and we are copying to the dev server, include the .htaccess file
-  // This is for PhET-iO simulations, to protected the password protected wrappers, see
-  // https://github.com/phetsims/phet-io/issues/641
-  if ( brands.includes( 'phet-io' ) && buildLocal.devDeployServer === 'bayes.colorado.edu' ) {
-    const htaccessLocation = `../${repo}/build/phet-io`;
-    await writePhetioHtaccess( htaccessLocation, null, versionPath );
+    // If there is a protected directory and we are copying to the dev server, include the .htaccess file
+    // This is for PhET-iO simulations, to protected the password protected wrappers, see
+    // https://github.com/phetsims/phet-io/issues/641
+    if ( brands.includes( 'phet-io' ) && buildLocal.devDeployServer === 'bayes.colorado.edu' ) {
+      const htaccessLocation = `../${repo}/build/phet-io`;
+      await writePhetioHtaccess( htaccessLocation, null, versionPath );
+    }
+
+    // Move over dependencies.json and commit/push
+    await updateDependenciesJSON( repo, brands, versionString, branch );
+  }
+  catch( e ) {
+    DeployHistory.record( _.assign( historyRecord, { result: 'failed', error: e.message } ) );
+    throw e;
   }
 
-  // Move over dependencies.json and commit/push
-  await updateDependenciesJSON( repo, brands, versionString, branch );
+  DeployHistory.record( _.assign( historyRecord, {
+    dependencies: DeployHistory.getDependencySHAs( await getDependencies( repo ) ),
+    result: 'succeeded'
+  } ) );
 
   const versionURL = `https://phet-dev.colorado.edu/html/${repo}/${versionString}`;
 
@@ -0,0 +1,156 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Runs a single public Maintenance command non-interactively (for `grunt maintenance --command=...`). Arguments are
+ * read from command-line options named after the command's parameters (see MaintenanceCommand), e.g.
+ *
+ * grunt maintenance --command=addNeededPatches --patchName=scenery --filter=filter.js
+ * grunt maintenance --command=applyPatches --options='{"dryRun":true}' --json
+ *
+ * Parameters are converted by type: function parameters are the path of a JS file that exports the function, Object
+ * parameters are JSON, and ReleaseBranch parameters are a JSON serialized ReleaseBranch.
+ */
+
+const Maintenance = require( '../common/Maintenance' );
+const MaintenanceCommand = require( '../common/MaintenanceCommand' );
+const ReleaseBranch = require( '../common/ReleaseBranch' );
+const path = require( 'path' );
+const util = require( 'util' );
+const winston = require( 'winston' );
+
+// constants
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Converts a command-line option value into a value of the parameter's type.
+ *
+ * @param {*} value
+ * @param {Object} parameter - see MaintenanceCommand
+ * @returns {*}
+ */
+const parseOption = ( value, parameter ) => {
+  switch( parameter.type ) {
+    case 'string':
+      return `${value}`;
+    case 'number':
+      return Number( value );
+    case 'boolean':
+      return value === true || value === 'true';
+    case 'function':
+      return require( path.resolve( `${value}` ) );
+    case 'Object':
+      return JSON.parse( value );
+    case 'ReleaseBranch':
+      return ReleaseBranch.deserialize( JSON.parse( value ) );
+    default:
+      throw new Error( `Unsupported parameter type: ${parameter.type}` );
+  }
+};
+
+/**
+ * Converts a command result into something JSON-compatible.
+ *
+ * @param {*} result
+ * @returns {*}
+ */
+const serializeResult = result => {
+  if ( Array.isArray( result ) ) {
+    return result.map( serializeResult );
+  }
+  if ( result && typeof result.serialize === 'function' ) {
+    return result.serialize();
+  }
+  return result === undefined ? null : result;
+};
+
+/**
+ * Runs a Maintenance command, with arguments from the command-line options.
+ * @public
+ *
+ * @param {string} commandName
+ * @param {function(string):*} getOption - Returns the value of a command-line option, e.g. grunt.option
+ * @param {boolean} json - If true, the console output of the command is captured, and a single JSON object (with the
+ *                         command, arguments, success, result, error, output lines and resulting maintenance state) is
+ *                         printed instead.
+ * @returns {Promise.<number>} - The exit code: 0 for success, 1 if the command failed, 2 for invalid usage
+ */
+module.exports = async function maintenanceCommand( commandName, getOption, json ) {
+  const output = [];
+  const log = console.log;
+  const warn = console.warn;
+
+  const report = {
+    command: commandName,
+    args: {},
+    success: false,
+    result: null,
+    error: null,
+    output: output,
+    state: null
+  };
+
+  let exitCode = EXIT_USAGE;
+
+  if ( json ) {
+    winston.default.transports.console.level = 'error';
+    console.log = ( ...args ) => output.push( util.format( ...args ) );
+    console.warn = console.log;
+  }
+
+  try {
+    const command = MaintenanceCommand.get( commandName );
+    if ( !command ) {
+      throw new Error( `Unknown maintenance command: ${commandName}, use --command=help for the list of commands` );
+    }
+
+    const args = command.parameters.map( parameter => {
+      const value = getOption( parameter.name ) !== undefined ? getOption( parameter.name ) :
+                    parameter.alias ? getOption( parameter.alias ) : undefined;
+
+      if ( value === undefined || value === null ) {
+        return undefined;
+      }
+
+      report.args[ parameter.name ] = value;
+      return parseOption( value, parameter );
+    } );
+
+    // Trailing unspecified optional arguments are left off, so that the defaults are used
+    while ( args.length && args[ args.length - 1 ] === undefined ) {
+      args.pop();
+    }
+
+    command.validate( args );
+
+    exitCode = EXIT_FAILURE;
+    report.result = serializeResult( await Maintenance[ commandName ]( ...args ) );
+    report.success = true;
+    exitCode = EXIT_SUCCESS;
+  }
+  catch( e ) {
+    report.error = e.message || `${e}`;
+
+    if ( !json ) {
+      console.error( `Maintenance command failed:\n${e.stack || e}` );
+    }
+  }
+  finally {
+    console.log = log;
+    console.warn = warn;
+  }
+
+  if ( json ) {
+    try {
+      report.state = Maintenance.load().serialize();
+    }
+    catch( e ) {
+      report.state = null;
+    }
+
+    console.log( JSON.stringify( report, null, 2 ) );
+  }
+
+  return exitCode;
+};
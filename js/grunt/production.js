@@ -6,6 +6,7 @@
  * @author Jonathan Olson <jonathan.olson@colorado.edu>
  */
 
+const DeployHistory = require( '../common/DeployHistory' );
 const SimVersion = require( '../common/SimVersion' );
 const booleanPrompt = require( '../common/booleanPrompt' );
 const build = require( '../common/build' );
@@ -28,7 +29,7 @@ const setRepoVersion = require( '../common/setRepoVersion' );
 const simMetadata = require( '../common/simMetadata' );
 const updateDependenciesJSON = require( '../common/updateDependenciesJSON' );
 const vpnCheck = require( '../common/vpnCheck' );
-const buildLocal = require( '../common/buildLocal' );
+const completeBuildServerDeploy = require( './completeBuildServerDeploy' );
 const assert = require( 'assert' );
 
 /**
@@ -41,9 +42,18 @@ const assert = require( 'assert' );
  * @param {boolean} noninteractive
  * @param {boolean} redeploy
  * @param {string} [message] - Optional message to append to the version-increment commit.
+ * @param {Object} [options] - onBuildServerResponse: {function({status:number, data:*})|null} - called with the
+ *                             response of the build server request
+ *                             wait: {boolean} - whether to wait for the build server to complete the deployment (printing
+ *                             its progress), rejecting if it fails
  * @returns {Promise.<SimVersion>}
  */
-module.exports = async function production( repo, branch, brands, noninteractive, redeploy, message ) {
+module.exports = async function production( repo, branch, brands, noninteractive, redeploy, message, options ) {
+  const {
+    onBuildServerResponse = null,
+    wait = false
+  } = options || {};
+
   SimVersion.ensureReleaseBranch( branch );
 
   if ( !( await vpnCheck() ) ) {
@@ -186,11 +196,17 @@ module.exports = async function production( repo, branch, brands, noninteractive
     await updateDependenciesJSON( repo, brands, versionString, branch );
 
     // Send the build request
-    await buildServerRequest( repo, version, branch, await getDependencies( repo ), {
+    const dependencies = await getDependencies( repo );
+    const servers = [ 'dev', 'production' ];
+    const buildServerResponse = await buildServerRequest( repo, version, branch, dependencies, {
       locales: '*',
       brands: brands,
-      servers: [ 'dev', 'production' ]
+      servers: servers,
+      deployType: published ? 'production' : 'prototype'
     } );
+    if ( onBuildServerResponse ) {
+      onBuildServerResponse( buildServerResponse );
+    }
 
     // Move back to main
     await checkoutMain( repo, true );
@@ -202,8 +218,15 @@ module.exports = async function production( repo, branch, brands, noninteractive
       grunt.log.writeln( `Deployed: https://phet-io.colorado.edu/sims/${repo}/${versionString}/` );
     }
 
-    grunt.log.writeln( 'Please wait for the build-server to complete the deployment, and then test!' );
-    grunt.log.writeln( `To view the current build status, visit ${buildLocal.productionServerURL}/deploy-status` );
+    await completeBuildServerDeploy( {
+      type: published ? 'production' : 'prototype',
+      repo: repo,
+      version: versionString,
+      brands: brands,
+      servers: servers,
+      branch: branch,
+      dependencies: DeployHistory.getDependencySHAs( dependencies )
+    }, buildServerResponse, wait );
 
     if ( isFirstVersion && brands.includes( 'phet' ) ) {
       grunt.log.writeln( 'After testing, let the simulation lead know it has been deployed, so they can edit metadata on the website' );
@@ -6,6 +6,7 @@
  * @author Jonathan Olson <jonathan.olson@colorado.edu>
  */
 
+const DeployHistory = require( '../common/DeployHistory' );
 const SimVersion = require( '../common/SimVersion' );
 const booleanPrompt = require( '../common/booleanPrompt' );
 const build = require( '../common/build' );
@@ -25,6 +26,7 @@ const npmUpdate = require( '../common/npmUpdate' );
 const setRepoVersion = require( '../common/setRepoVersion' );
 const updateDependenciesJSON = require( '../common/updateDependenciesJSON' );
 const vpnCheck = require( '../common/vpnCheck' );
+const completeBuildServerDeploy = require( './completeBuildServerDeploy' );
 const createRelease = require( './createRelease' );
 const grunt = require( 'grunt' );
 
@@ -37,9 +39,18 @@ const grunt = require( 'grunt' );
  * @param {Array.<string>} brands
  * @param {boolean} noninteractive
  * @param {string} [message] - Optional message to append to the version-increment commit.
+ * @param {Object} [options] - onBuildServerResponse: {function({status:number, data:*})|null} - called with the
+ *                             response of the build server request
+ *                             wait: {boolean} - whether to wait for the build server to complete the deployment (printing
+ *                             its progress), rejecting if it fails
  * @returns {Promise.<SimVersion>}
  */
-module.exports = async function rc( repo, branch, brands, noninteractive, message ) {
+module.exports = async function rc( repo, branch, brands, noninteractive, message, options ) {
+  const {
+    onBuildServerResponse = null,
+    wait = false
+  } = options || {};
+
   SimVersion.ensureReleaseBranch( branch );
 
   if ( !( await vpnCheck() ) ) {
@@ -125,11 +136,17 @@ module.exports = async function rc( repo, branch, brands, noninteractive, messag
     await updateDependenciesJSON( repo, brands, versionString, branch );
 
     // Send the build request
-    await buildServerRequest( repo, version, branch, await getDependencies( repo ), {
+    const dependencies = await getDependencies( repo );
+    const servers = [ 'dev' ];
+    const buildServerResponse = await buildServerRequest( repo, version, branch, dependencies, {
       locales: [ 'en' ],
       brands: brands,
-      servers: [ 'dev' ]
+      servers: servers,
+      deployType: 'rc'
     } );
+    if ( onBuildServerResponse ) {
+      onBuildServerResponse( buildServerResponse );
+    }
 
     // Move back to main
     await checkoutMain( repo, true );
@@ -143,8 +160,15 @@ module.exports = async function rc( repo, branch, brands, noninteractive, messag
       grunt.log.writeln( `Deployed: ${versionURL}/phet-io/` );
     }
 
-    grunt.log.writeln( 'Please wait for the build-server to complete the deployment, and then test!' );
-    grunt.log.writeln( `To view the current build status, visit ${buildLocal.productionServerURL}/deploy-status` );
+    await completeBuildServerDeploy( {
+      type: 'rc',
+      repo: repo,
+      version: versionString,
+      brands: brands,
+      servers: servers,
+      branch: branch,
+      dependencies: DeployHistory.getDependencySHAs( dependencies )
+    }, buildServerResponse, wait );
 
     return version;
   }
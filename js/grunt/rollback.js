@@ -0,0 +1,57 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Rolls back the production deploy of a simulation to a previously-deployed version, using the build server (see
+ * build-server/rollback.js), and records it in the deploy history. Nothing is rebuilt, and the release branch is not
+ * changed, so the next production deploy will become the latest version again.
+ */
+
+const SimVersion = require( '../common/SimVersion' );
+const booleanPrompt = require( '../common/booleanPrompt' );
+const buildServerRollbackRequest = require( '../common/buildServerRollbackRequest' );
+const vpnCheck = require( '../common/vpnCheck' );
+const completeBuildServerDeploy = require( './completeBuildServerDeploy' );
+const grunt = require( 'grunt' );
+
+/**
+ * Rolls back the production deploy of a simulation to a previously-deployed version.
+ * @public
+ *
+ * @param {string} repo
+ * @param {string} version - The production version to roll back to, e.g. '1.4.1'
+ * @param {Array.<string>} brands
+ * @param {boolean} noninteractive
+ * @param {Object} [options] - wait: {boolean} - whether to wait for the build server to complete the rollback
+ * @returns {Promise.<SimVersion>}
+ */
+module.exports = async function rollback( repo, version, brands, noninteractive, options ) {
+  const {
+    wait = false
+  } = options || {};
+
+  const simVersion = SimVersion.parse( version );
+  if ( simVersion.testType !== null ) {
+    throw new Error( `Can only roll back to production versions, not ${version}` );
+  }
+
+  if ( !( await vpnCheck() ) ) {
+    grunt.fail.fatal( 'VPN or being on campus is required for a rollback. Ensure VPN is enabled, or that you have access to phet-server2.int.colorado.edu' );
+  }
+
+  if ( !await booleanPrompt( `Point the latest production version of ${repo} (${brands.join( ', ' )}) at ${simVersion.toString()}`, noninteractive ) ) {
+    throw new Error( 'Aborted rollback' );
+  }
+
+  const response = await buildServerRollbackRequest( repo, simVersion, brands );
+
+  await completeBuildServerDeploy( {
+    type: 'rollback',
+    repo: repo,
+    version: simVersion.toString(),
+    brands: brands,
+    servers: [ 'production' ],
+    branch: `${simVersion.major}.${simVersion.minor}`
+  }, response, wait );
+
+  return simVersion;
+};
\ No newline at end of file
@@ -0,0 +1,116 @@
+// Copyright 2026, University of Colorado Boulder
+
+/**
+ * Smoke-tests a deployed simulation version: loads each deployed sim, wrapper and Studio URL (see getDeployedSimURLs) in
+ * a browser, checks for page errors, and checks that the version reported by the sim (phet.chipper.version) matches.
+ * The wrapper index doesn't run the sim, so it only needs to load without errors.
+ */
+
+const browserPageLoad = require( '../common/browserPageLoad' );
+const getDeployedSimURLs = require( '../common/getDeployedSimURLs' );
+const withServer = require( '../common/withServer' );
+const SimVersion = require( '../common/SimVersion' );
+const grunt = require( 'grunt' );
+const _ = require( 'lodash' );
+const path = require( 'path' );
+const puppeteer = require( 'puppeteer' );
+
+/**
+ * Returns the phet.chipper.version of the page, and of any (same-origin) iframes, e.g. the sim in Studio.
+ * Runs in the browser.
+ *
+ * @returns {Array.<string>}
+ */
+const getPageVersions = () => [ window, ...Array.from( document.querySelectorAll( 'iframe' ) ).map( iframe => iframe.contentWindow ) ]
+  .map( pageWindow => {
+    try {
+      return pageWindow.phet && pageWindow.phet.chipper && pageWindow.phet.chipper.version;
+    }
+    catch( e ) {
+      // cross-origin frame
+      return null;
+    }
+  } )
+  .filter( version => !!version );
+
+/**
+ * Smoke-tests a deployed simulation version.
+ * @public
+ *
+ * @param {string} repo
+ * @param {string} version - e.g. '1.4.2' or '1.4.2-rc.1'
+ * @param {Array.<string>} brands
+ * @param {Object} [options]
+ * @returns {Promise.<Array.<{brand:string, type:string, url:string, passed:boolean, versions:Array.<string>, error:string|null}>>}
+ */
+module.exports = async function verifyDeploy( repo, version, brands, options ) {
+  options = _.merge( {
+    baseURL: null, // {string|null} - see getDeployedSimURLs
+    directory: null, // {string|null} - if provided, this directory is served locally and used as the baseURL
+    waitAfterLoad: 5000 // {number} - milliseconds to wait after the page loads (for errors, and for Studio to load the sim)
+  }, options );
+
+  const expectedVersion = SimVersion.parse( version ).toString();
+
+  if ( options.directory ) {
+    return withServer( port => verifyDeploy( repo, version, brands, _.assign( {}, options, {
+      baseURL: `http://localhost:${port}`,
+      directory: null
+    } ) ), {
+      path: path.relative( process.cwd(), options.directory )
+    } );
+  }
+
+  const urls = getDeployedSimURLs( repo, expectedVersion, brands, { baseURL: options.baseURL } );
+  const results = [];
+
+  const browser = await puppeteer.launch( { args: [ '--disable-gpu' ] } );
+
+  try {
+    for ( const { brand, type, url } of urls ) {
+      const result = { brand: brand, type: type, url: url, passed: false, versions: [], error: null };
+
+      try {
+        result.versions = await browserPageLoad( puppeteer, url, {
+          browser: browser,
+          evaluate: getPageVersions,
+          waitAfterLoad: options.waitAfterLoad,
+          onPageCreation: async ( page, resolve, reject ) => {
+            page.on( 'response', response => {
+              if ( response.url() === url && response.status() >= 400 ) {
+                reject( new Error( `HTTP status ${response.status()}` ) );
+              }
+            } );
+          },
+          logger: () => {}
+        } );
+
+        if ( !result.versions.length && type !== 'wrapper' ) {
+          result.error = 'phet.chipper.version not found in the page';
+        }
+        else if ( result.versions.some( pageVersion => pageVersion !== expectedVersion ) ) {
+          result.error = `version mismatch, expected ${expectedVersion} but found ${result.versions.join( ', ' )}`;
+        }
+        else {
+          result.passed = true;
+        }
+      }
+      catch( e ) {
+        result.error = `${e.message || e}`;
+      }
+
+      results.push( result );
+    }
+  }
+  finally {
+    await browser.close();
+  }
+
+  grunt.log.writeln( `Deploy verification for ${repo} ${expectedVersion}:` );
+  for ( const result of results ) {
+    grunt.log.writeln( `${result.passed ? 'PASS' : 'FAIL'} ${result.brand} ${result.type}: ${result.url}${result.error ? `\n     ${result.error}` : ''}` );
+  }
+  grunt.log.writeln( `${results.filter( result => result.passed ).length} passed, ${results.filter( result => !result.passed ).length} failed` );
+
+  return results;
+};
\ No newline at end of file
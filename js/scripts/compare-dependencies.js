@@ -2,6 +2,7 @@
 // this is a file that runs in node
 // it compares all the dependencies from one project to another project.
 // Assumes you have a clean working copy, in case you are checking out shas
+// See also `grunt release-notes`, which compares the dependencies of two versions without checking anything out.
 // @author Sam Reid (PhET Interactive Simulations)
 
 // import fs
@@ -7,4 +7,15 @@
  *
  */
 
-require( '../js/common/SimVersionTests' );
\ No newline at end of file
+require( '../js/common/SimVersionTests' );
+require( '../js/common/MaintenanceJournalTests' );
+require( '../js/common/MaintenanceCommandTests' );
+require( '../js/common/MaintenanceSchemaTests' );
+require( '../js/common/ReleaseBranchHealthRuleTests' );
+require( '../js/common/PatchTests' );
+require( '../js/common/MaintenanceLockTests' );
+require( '../js/common/MaintenanceReportTests' );
+require( '../js/common/getDeployedSimURLsTests' );
+require( '../js/common/DeployHistoryTests' );
+require( '../js/common/ReleaseNotesTests' );
+require( '../js/common/MaintenanceTests' );
\ No newline at end of file